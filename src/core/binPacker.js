@@ -1 +1,472 @@
+/**
+ * Bin packers beyond the basic guillotine packer
+ * MaxRects keeps every maximal free rectangle, so placements never strand slivers;
+ * RasterShapePacker packs item outlines on an occupancy grid
+ */
 
+import {
+  rotatedSize,
+  rotateRings,
+  rectangleRing,
+  rasterizeRings,
+  dilateMask,
+  maskRowSpans
+} from '../utils/geometry.js';
+
+/**
+ * Placement heuristics supported by MaxRectsPacker
+ */
+const MaxRectsHeuristic = {
+  BEST_SHORT_SIDE_FIT: "bestShortSideFit",
+  BEST_LONG_SIDE_FIT: "bestLongSideFit",
+  BEST_AREA_FIT: "bestAreaFit",
+  BOTTOM_LEFT: "bottomLeft",
+  CONTACT_POINT: "contactPoint"
+};
+
+class MaxRectsPacker {
+  constructor(width, height, spacing = 0, heuristic = MaxRectsHeuristic.BEST_SHORT_SIDE_FIT) {
+    this.binWidth = width;
+    this.binHeight = height;
+    this.spacing = spacing;
+    this.heuristic = heuristic;
+    this.freeRectangles = [{ x: 0, y: 0, width, height }];
+    this.usedRectangles = [];
+  }
+
+  /**
+   * Insert a rectangle using the configured heuristic
+   * The smallest rotated bounding box wins, then the best heuristic score; ties
+   * keep the earlier angle
+   * @param {number} width - Item width
+   * @param {number} height - Item height
+   * @param {string} id - Item identifier
+   * @param {Array} angles - Candidate rotations in degrees
+   * @returns {Object|null} - {id, x, y, width, height, rotation, rotated} or null if it doesn't fit
+   */
+  insert(width, height, id, angles = [0]) {
+    let best = null;
+
+    for (const angle of angles) {
+      const size = rotatedSize(width, height, angle);
+      const node = this.findPosition(size.width, size.height);
+      if (node && (!best || this.isBetterAngle({ ...node, size }, best))) {
+        best = { ...node, size, angle };
+      }
+    }
+
+    if (!best) return null;
+
+    this.placeRect(best);
+
+    return {
+      id,
+      x: best.x,
+      y: best.y,
+      width: best.size.width,
+      height: best.size.height,
+      rotation: best.angle,
+      rotated: best.angle !== 0
+    };
+  }
+
+  /**
+   * Mark a rectangle as occupied before packing (margins, keep-out regions)
+   * @param {Object} rect - {x, y, width, height} in bin coordinates
+   * @param {boolean} padded - Keep items a spacing away from its right and bottom edges too
+   */
+  addObstacle(rect, padded = true) {
+    const pad = padded ? this.spacing : 0;
+    const node = clipRect({ ...rect, width: rect.width + pad, height: rect.height + pad }, this.binWidth, this.binHeight);
+    if (node) this.placeRect(node);
+  }
+
+  /**
+   * Find the best free position for a rectangle without placing it
+   * Lower scores are better for every heuristic
+   */
+  findPosition(width, height) {
+    // Add spacing to dimensions
+    const w = width + this.spacing;
+    const h = height + this.spacing;
+
+    let best = null;
+
+    for (const rect of this.freeRectangles) {
+      if (w > rect.width || h > rect.height) continue;
+
+      const candidate = {
+        x: rect.x,
+        y: rect.y,
+        width: w,
+        height: h,
+        ...this.scoreRect(rect, w, h)
+      };
+
+      if (!best || this.isBetterScore(candidate, best)) {
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Score placing a w×h rectangle at the top-left of a free rectangle
+   * @returns {Object} - {score1, score2}, compared lexicographically
+   */
+  scoreRect(rect, w, h) {
+    const leftoverHoriz = rect.width - w;
+    const leftoverVert = rect.height - h;
+    const shortSide = Math.min(leftoverHoriz, leftoverVert);
+    const longSide = Math.max(leftoverHoriz, leftoverVert);
+
+    switch (this.heuristic) {
+      case MaxRectsHeuristic.BEST_LONG_SIDE_FIT:
+        return { score1: longSide, score2: shortSide };
+
+      case MaxRectsHeuristic.BEST_AREA_FIT:
+        return { score1: rect.width * rect.height - w * h, score2: shortSide };
+
+      case MaxRectsHeuristic.BOTTOM_LEFT:
+        // Illustrator layouts grow downwards from the top-left corner,
+        // so "bottom-left" here means lowest y, then lowest x
+        return { score1: rect.y + h, score2: rect.x };
+
+      case MaxRectsHeuristic.CONTACT_POINT:
+        // Maximise contact, so negate to keep "lower is better"
+        return { score1: -this.contactPointScore(rect.x, rect.y, w, h), score2: 0 };
+
+      case MaxRectsHeuristic.BEST_SHORT_SIDE_FIT:
+      default:
+        return { score1: shortSide, score2: longSide };
+    }
+  }
+
+  isBetterScore(a, b) {
+    return a.score1 < b.score1 || (a.score1 === b.score1 && a.score2 < b.score2);
+  }
+
+  /**
+   * Compare placements at different angles
+   * A tilted bounding box leaves less free space, so the heuristic alone would
+   * prefer it; it only wins when its box is no bigger.
+   */
+  isBetterAngle(a, b) {
+    const areaA = a.size.width * a.size.height;
+    const areaB = b.size.width * b.size.height;
+    if (Math.abs(areaA - areaB) > 1e-6 * Math.max(areaA, areaB)) return areaA < areaB;
+    return this.isBetterScore(a, b);
+  }
+
+  /**
+   * Length of edge shared with bin walls and already placed rectangles
+   */
+  contactPointScore(x, y, width, height) {
+    let score = 0;
+
+    if (x === 0 || x + width === this.binWidth) score += height;
+    if (y === 0 || y + height === this.binHeight) score += width;
+
+    for (const used of this.usedRectangles) {
+      if (used.x === x + width || used.x + used.width === x) {
+        score += this.commonIntervalLength(used.y, used.y + used.height, y, y + height);
+      }
+      if (used.y === y + height || used.y + used.height === y) {
+        score += this.commonIntervalLength(used.x, used.x + used.width, x, x + width);
+      }
+    }
+
+    return score;
+  }
+
+  commonIntervalLength(start1, end1, start2, end2) {
+    if (end1 < start2 || end2 < start1) return 0;
+    return Math.min(end1, end2) - Math.max(start1, start2);
+  }
+
+  /**
+   * Commit a node returned by findPosition
+   */
+  placeRect(node) {
+    const used = { x: node.x, y: node.y, width: node.width, height: node.height };
+    const remaining = [];
+
+    for (const freeRect of this.freeRectangles) {
+      if (this.intersects(freeRect, used)) {
+        remaining.push(...this.splitFreeNode(freeRect, used));
+      } else {
+        remaining.push(freeRect);
+      }
+    }
+
+    this.freeRectangles = remaining;
+    this.pruneFreeList();
+    this.usedRectangles.push(used);
+  }
+
+  /**
+   * Split a free rectangle around a used one into up to four maximal rectangles
+   */
+  splitFreeNode(freeRect, used) {
+    const result = [];
+
+    // Left of the used rectangle
+    if (used.x > freeRect.x) {
+      result.push({
+        x: freeRect.x,
+        y: freeRect.y,
+        width: used.x - freeRect.x,
+        height: freeRect.height
+      });
+    }
+
+    // Right of the used rectangle
+    if (used.x + used.width < freeRect.x + freeRect.width) {
+      result.push({
+        x: used.x + used.width,
+        y: freeRect.y,
+        width: freeRect.x + freeRect.width - (used.x + used.width),
+        height: freeRect.height
+      });
+    }
+
+    // Above the used rectangle
+    if (used.y > freeRect.y) {
+      result.push({
+        x: freeRect.x,
+        y: freeRect.y,
+        width: freeRect.width,
+        height: used.y - freeRect.y
+      });
+    }
+
+    // Below the used rectangle
+    if (used.y + used.height < freeRect.y + freeRect.height) {
+      result.push({
+        x: freeRect.x,
+        y: used.y + used.height,
+        width: freeRect.width,
+        height: freeRect.y + freeRect.height - (used.y + used.height)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove free rectangles contained within others
+   */
+  pruneFreeList() {
+    const rects = this.freeRectangles;
+    this.freeRectangles = rects.filter((rect, i) => {
+      for (let j = 0; j < rects.length; j++) {
+        if (i === j) continue;
+        // Of two identical rectangles keep only the first
+        if (this.isContained(rect, rects[j]) && (j < i || !this.isContained(rects[j], rect))) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  intersects(a, b) {
+    return a.x < b.x + b.width &&
+           a.x + a.width > b.x &&
+           a.y < b.y + b.height &&
+           a.y + a.height > b.y;
+  }
+
+  isContained(rect, container) {
+    return rect.x >= container.x &&
+           rect.y >= container.y &&
+           rect.x + rect.width <= container.x + container.width &&
+           rect.y + rect.height <= container.y + container.height;
+  }
+}
+
+/**
+ * True-shape packing by raster collision
+ * Outlines are rasterized conservatively and placed at the first free
+ * position scanning top to bottom, left to right
+ */
+class RasterShapePacker {
+  constructor(width, height, spacing = 0, cellSize = 2) {
+    this.binWidth = width;
+    this.binHeight = height;
+    this.spacing = spacing;
+    this.cellSize = cellSize;
+
+    // Round down so shapes never poke out of the bin
+    this.cols = Math.max(1, Math.floor(width / cellSize));
+    this.rows = Math.max(1, Math.floor(height / cellSize));
+    this.spacingCells = Math.ceil(spacing / cellSize);
+
+    this.grid = new Uint8Array(this.cols * this.rows);
+    // Per-row prefix sums of occupied cells for O(1) span tests
+    this.prefix = new Int32Array((this.cols + 1) * this.rows);
+  }
+
+  /**
+   * Insert an item by its outline
+   * @param {number} width - Item width
+   * @param {number} height - Item height
+   * @param {string} id - Item identifier
+   * @param {Array} angles - Candidate rotations in degrees
+   * @param {Array} outline - Rings in local item space; defaults to the bounding box
+   * @returns {Object|null} - {id, x, y, width, height, rotation, rotated} or null if it doesn't fit
+   */
+  insert(width, height, id, angles = [0], outline = null) {
+    const rings = outline && outline.length > 0 ? outline : [rectangleRing(width, height)];
+
+    let best = null;
+    for (const angle of angles) {
+      const shape = this.prepareShape(rings, width, height, angle);
+      const position = this.findPosition(shape);
+      if (!position) continue;
+
+      // Lowest bottom edge wins, then leftmost
+      const bottom = position.row + shape.footprint.rows;
+      if (!best || bottom < best.bottom || (bottom === best.bottom && position.col < best.col)) {
+        best = { ...position, bottom, shape, angle };
+      }
+    }
+
+    if (!best) return null;
+
+    this.stamp(best.shape.stamp, best.col, best.row);
+
+    return {
+      id,
+      x: best.col * this.cellSize,
+      y: best.row * this.cellSize,
+      width: best.shape.width,
+      height: best.shape.height,
+      rotation: best.angle,
+      rotated: best.angle !== 0
+    };
+  }
+
+  /**
+   * Mark a rectangle as occupied before packing (margins, keep-out regions)
+   * Covers every cell the rectangle touches, grown by the spacing if padded
+   */
+  addObstacle(rect, padded = true) {
+    const pad = padded ? this.spacing : 0;
+    const startCol = Math.max(0, Math.floor((rect.x - pad) / this.cellSize));
+    const startRow = Math.max(0, Math.floor((rect.y - pad) / this.cellSize));
+    const endCol = Math.min(this.cols, Math.ceil((rect.x + rect.width + pad) / this.cellSize));
+    const endRow = Math.min(this.rows, Math.ceil((rect.y + rect.height + pad) / this.cellSize));
+
+    for (let row = startRow; row < endRow; row++) {
+      for (let col = startCol; col < endCol; col++) {
+        this.grid[row * this.cols + col] = 1;
+      }
+      this.updatePrefixRow(row);
+    }
+  }
+
+  /**
+   * Rotate an outline about the item centre and rasterize it
+   */
+  prepareShape(rings, width, height, angle) {
+    const { rings: local, width: shapeWidth, height: shapeHeight } = rotateRings(rings, width, height, angle);
+
+    const footprint = rasterizeRings(local, shapeWidth, shapeHeight, this.cellSize);
+
+    return {
+      width: shapeWidth,
+      height: shapeHeight,
+      footprint,
+      spans: maskRowSpans(footprint),
+      // Occupied space includes the spacing around the shape
+      stamp: dilateMask(footprint, this.spacingCells)
+    };
+  }
+
+  findPosition(shape) {
+    const { footprint, spans } = shape;
+
+    for (let row = 0; row + footprint.rows <= this.rows; row++) {
+      for (let col = 0; col + footprint.cols <= this.cols; col++) {
+        const shift = this.collisionShift(spans, col, row);
+        if (shift === 0) return { col, row };
+        col += shift - 1;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * How far the shape must move right to clear the first collision found
+   * @returns {number} - 0 if the shape fits here
+   */
+  collisionShift(spans, col, row) {
+    const stride = this.cols + 1;
+
+    for (let r = 0; r < spans.length; r++) {
+      const gridRow = row + r;
+      for (const [start, end] of spans[r]) {
+        const from = col + start;
+        const to = col + end;
+        const base = gridRow * stride;
+        if (this.prefix[base + to] - this.prefix[base + from] === 0) continue;
+
+        // Step past the rightmost occupied cell under this span
+        let last = to - 1;
+        while (!this.grid[gridRow * this.cols + last]) last--;
+        return last - from + 1;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Mark a padded mask as occupied, clipping it to the bin
+   */
+  stamp(mask, col, row) {
+    const originCol = col - mask.pad;
+    const originRow = row - mask.pad;
+
+    for (let r = 0; r < mask.rows; r++) {
+      const gridRow = originRow + r;
+      if (gridRow < 0 || gridRow >= this.rows) continue;
+
+      for (let c = 0; c < mask.cols; c++) {
+        const gridCol = originCol + c;
+        if (gridCol < 0 || gridCol >= this.cols) continue;
+        if (mask.cells[r * mask.cols + c]) {
+          this.grid[gridRow * this.cols + gridCol] = 1;
+        }
+      }
+
+      this.updatePrefixRow(gridRow);
+    }
+  }
+
+  updatePrefixRow(row) {
+    const stride = this.cols + 1;
+    let count = 0;
+    for (let c = 0; c < this.cols; c++) {
+      count += this.grid[row * this.cols + c];
+      this.prefix[row * stride + c + 1] = count;
+    }
+  }
+}
+
+/**
+ * Clip a rectangle to a bin, or null if nothing is left
+ */
+function clipRect(rect, binWidth, binHeight) {
+  const x = Math.max(0, rect.x);
+  const y = Math.max(0, rect.y);
+  const right = Math.min(binWidth, rect.x + rect.width);
+  const bottom = Math.min(binHeight, rect.y + rect.height);
+  if (right <= x || bottom <= y) return null;
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+export { MaxRectsPacker, MaxRectsHeuristic, RasterShapePacker, clipRect };
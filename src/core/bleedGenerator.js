@@ -0,0 +1,130 @@
+/**
+ * Bleed behind nested raster and placed items
+ * Copies of each item's edges are drawn on a layer below the artwork, so items
+ * cut flush never show white edges. The engine packs items at their bleed size.
+ */
+
+import SheetArtwork from './sheetArtwork.js';
+
+const BLEED_LAYER_NAME = "Bleed";
+
+/**
+ * Edge regions of an item: where the source strip is taken from and how it is
+ * turned into bleed. Mirroring reflects the strip about the item's edge;
+ * stretching scales a thin strip outward from its inner side.
+ */
+const BleedRegions = [
+  { edges: ["left"], mirror: "LEFT", stretch: "RIGHT" },
+  { edges: ["right"], mirror: "RIGHT", stretch: "LEFT" },
+  { edges: ["top"], mirror: "TOP", stretch: "BOTTOM" },
+  { edges: ["bottom"], mirror: "BOTTOM", stretch: "TOP" },
+  { edges: ["top", "left"], mirror: "TOPLEFT", stretch: "BOTTOMRIGHT" },
+  { edges: ["top", "right"], mirror: "TOPRIGHT", stretch: "BOTTOMLEFT" },
+  { edges: ["bottom", "left"], mirror: "BOTTOMLEFT", stretch: "TOPRIGHT" },
+  { edges: ["bottom", "right"], mirror: "BOTTOMRIGHT", stretch: "TOPLEFT" }
+];
+
+class BleedGenerator extends SheetArtwork {
+  /**
+   * @param {Object} options - {method: scale | mirror | stretch, stripWidth}
+   */
+  constructor(options = {}) {
+    super(BLEED_LAYER_NAME, "Bleed", { atBack: true });
+    this.method = options.method || "mirror";
+    this.stripWidth = options.stripWidth || 1; // Edge pixels stretched by the stretch method
+  }
+
+  /**
+   * Only raster and placed images get bleed
+   */
+  static appliesTo(item) {
+    return item.typename === "RasterItem" || item.typename === "PlacedItem";
+  }
+
+  /**
+   * Draw bleed for each placed item on a sheet
+   * Items sit where the layout put them, so their current bounds are used.
+   */
+  drawSheet(group, doc, sheet) {
+    for (const placement of sheet.placements) {
+      const item = placement.originalItem;
+      if (!placement.bleed || !item || !BleedGenerator.appliesTo(item)) continue;
+
+      // Edges are only axis-aligned at right angles; other rotations are scaled
+      const method = (placement.rotation || 0) % 90 === 0 ? this.method : "scale";
+
+      if (method === "scale") {
+        this.drawScaledBleed(group, item, placement.bleed);
+      } else {
+        this.drawEdgeBleed(group, item, placement.bleed, method);
+      }
+    }
+  }
+
+  /**
+   * A copy of the whole item, enlarged to the bleed size
+   */
+  drawScaledBleed(group, item, bleed) {
+    const [left, top, right, bottom] = item.geometricBounds;
+    const width = right - left;
+    const height = top - bottom;
+
+    const copy = item.duplicate(group, ElementPlacement.PLACEATEND);
+    copy.resize(
+      (width + bleed * 2) / width * 100,
+      (height + bleed * 2) / height * 100,
+      true, true, true, true, 100,
+      Transformation.CENTER
+    );
+  }
+
+  /**
+   * Mirrored or stretched copies of the item's edges and corners
+   */
+  drawEdgeBleed(group, item, bleed, method) {
+    const [left, top, right, bottom] = item.geometricBounds;
+    const depth = method === "mirror"
+      ? Math.min(bleed, right - left, top - bottom)
+      : Math.min(this.stripWidth, right - left, top - bottom);
+    const scale = method === "mirror" ? -100 : (bleed + depth) / depth * 100;
+
+    for (const region of BleedRegions) {
+      const has = (edge) => region.edges.includes(edge);
+      const horizontal = has("left") || has("right");
+      const vertical = has("top") || has("bottom");
+
+      // Source strip inside the item, [left, top, right, bottom]
+      const rect = [
+        has("right") ? right - depth : left,
+        has("bottom") ? bottom + depth : top,
+        has("left") ? left + depth : right,
+        has("top") ? top - depth : bottom
+      ];
+
+      const strip = this.clippedCopy(group, item, rect);
+      strip.resize(
+        horizontal ? scale : 100,
+        vertical ? scale : 100,
+        true, true, true, true, 100,
+        Transformation[region[method]]
+      );
+    }
+  }
+
+  /**
+   * Copy of an item clipped to a rectangle
+   */
+  clippedCopy(group, item, rect) {
+    const clip = group.groupItems.add();
+    item.duplicate(clip, ElementPlacement.PLACEATEND);
+
+    const [left, top, right, bottom] = rect;
+    const mask = clip.pathItems.rectangle(top, left, right - left, top - bottom);
+    mask.clipping = true;
+    clip.clipped = true;
+    return clip;
+  }
+}
+
+export default BleedGenerator;
+export { BLEED_LAYER_NAME };
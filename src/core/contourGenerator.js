@@ -0,0 +1,117 @@
+/**
+ * CutContour paths around nested items for print-and-cut sticker production
+ * Each item's outline (or bounds) is offset outward and stroked with the
+ * "CutContour" spot colour that cutter RIPs look for.
+ */
+
+import SheetArtwork from './sheetArtwork.js';
+import { rectangleRing, rotateRings, translatePoints, scalePoints, offsetOutline } from '../utils/geometry.js';
+
+const CONTOUR_LAYER_NAME = "CutContour";
+const CONTOUR_SPOT_NAME = "CutContour";
+
+class ContourGenerator extends SheetArtwork {
+  /**
+   * @param {Object} options - {offset, source, items, resolution, strokeWidth, mirror}
+   */
+  constructor(options = {}) {
+    super(CONTOUR_LAYER_NAME, "Contours");
+    this.offset = options.offset !== undefined ? options.offset : 5; // Distance from the artwork
+    this.source = options.source || "outline"; // outline (clip path / alpha trace), bounds
+    this.resolution = options.resolution || 200; // Grid cells across an item's longest side
+    this.strokeWidth = options.strokeWidth || 0.25;
+    this.mirror = options.mirror || false; // Output is mirrored; items not yet reflected are flipped when placed
+
+    // Collected items by id, for their outlines and unrotated, unscaled size
+    this.items = new Map((options.items || []).map(item => [item.id, item]));
+  }
+
+  /**
+   * Spacing items need so neighbouring contours never cross
+   */
+  getRequiredSpacing() {
+    return this.offset * 2;
+  }
+
+  /**
+   * Contour ring of a placement, in sheet space (top-left origin, y down)
+   */
+  getContour(placement) {
+    const item = this.items.get(placement.sourceId || placement.id);
+    const scale = placement.scale || 1;
+    const width = item ? item.width * scale : placement.width;
+    const height = item ? item.height * scale : placement.height;
+
+    const rings = this.source === "outline" && item && item.outline && item.outline.length > 0
+      ? item.outline.map(ring => scalePoints(ring, scale))
+      : [rectangleRing(width, height)];
+
+    // Outlines are collected as the item stands; only items flipped when placed need reflecting
+    const rotated = rotateRings(rings, width, height, placement.rotation || 0);
+    if (this.mirror !== !!(item && item.mirrored)) {
+      rotated.rings = rotated.rings.map(ring => ring.map(p => ({ x: rotated.width - p.x, y: p.y })).reverse());
+    }
+    const cellSize = Math.max(0.25, Math.max(rotated.width, rotated.height) / this.resolution);
+    const contour = offsetOutline(rotated.rings, rotated.width, rotated.height, this.offset, cellSize);
+
+    return translatePoints(contour, placement.x, placement.y);
+  }
+
+  /**
+   * Draw one sheet's contours
+   */
+  drawSheet(group, doc, sheet, toDoc) {
+    const color = this.getSpotColor(doc);
+
+    for (const placement of sheet.placements) {
+      const contour = this.getContour(placement);
+      if (contour.length < 3) continue;
+
+      const path = group.pathItems.add();
+      path.setEntirePath(contour.map(p => toDoc(p.x, p.y)));
+      path.closed = true;
+      path.filled = false;
+      path.stroked = true;
+      path.strokeColor = color;
+      path.strokeWidth = this.strokeWidth;
+      path.strokeOverprint = true; // Cut lines must not knock out the print
+
+      const item = placement.originalItem;
+      if (item && item.name) path.name = `${item.name} contour`;
+    }
+  }
+
+  /**
+   * 100% tint of the CutContour spot, creating the swatch if needed
+   */
+  getSpotColor(doc) {
+    let spot = null;
+    for (let i = 0; i < doc.spots.length; i++) {
+      if (doc.spots[i].name === CONTOUR_SPOT_NAME) {
+        spot = doc.spots[i];
+        break;
+      }
+    }
+
+    if (!spot) {
+      spot = doc.spots.add();
+      spot.name = CONTOUR_SPOT_NAME;
+      spot.colorType = ColorModel.SPOT;
+
+      const magenta = new CMYKColor();
+      magenta.cyan = 0;
+      magenta.magenta = 100;
+      magenta.yellow = 0;
+      magenta.black = 0;
+      spot.color = magenta;
+    }
+
+    const color = new SpotColor();
+    color.spot = spot;
+    color.tint = 100;
+    return color;
+  }
+}
+
+export default ContourGenerator;
+export { CONTOUR_LAYER_NAME, CONTOUR_SPOT_NAME };
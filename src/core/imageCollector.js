@@ -3,9 +3,21 @@
  * Works with Illustrator's UXP API
  */
 
+import { sampleCubicBezier, simplifyPolygon } from '../utils/geometry.js';
+import { readPixelSize } from '../utils/imageHeader.js';
+
 const { app } = require("photoshop").app;
 
+// Enough for the size fields of any supported format, past a JPEG's Exif and ICC segments
+const HEADER_BYTES = 128 * 1024;
+
+const RasterFilePattern = /\.(png|jpe?g|gif|tiff?|psd|bmp)$/i;
+
 class ImageCollector {
+  constructor() {
+    this.pixelSizes = new Map(); // Linked file path and date → pixel size, so each file is read once
+  }
+
   /**
    * Collect all raster items from the active document
    * @param {Object} options - Collection options
@@ -21,16 +33,37 @@ class ImageCollector {
       selectedOnly = false,
       artboardIndex = null,
       includeLinked = true,
-      includeEmbedded = true
+      includeEmbedded = true,
+      extractOutlines = false, // True-shape nesting: also collect vector shapes
+      outlineTolerance = 1,
+      contourOutlines = false, // Extract outlines for cut contours without collecting shapes
+      excludeLayer = null, // Layer holding keep-out guides, never nested
+      rigidGroups = false // Nest each top-level group as one unit instead of its contents
     } = options;
 
     const images = [];
     const items = selectedOnly ? this.getSelectedItems(doc) : this.getAllItems(doc);
 
     for (const item of items) {
-      // Check if item is a raster/placed image
-      if (this.isImageItem(item)) {
-        const imageData = await this.extractImageData(item);
+      if (excludeLayer && item.layer && item.layer.name === excludeLayer) continue;
+
+      // Pinned items stay where they are; see collectPinnedRegions()
+      if (this.isPinned(item) || this.isInsidePinnedGroup(item)) continue;
+
+      // Clipped groups are nested as one shape, so skip their contents
+      if (extractOutlines && this.isInsideClipGroup(item)) continue;
+
+      // Rigid groups are nested whole, so skip their contents too
+      if (rigidGroups && item.parent && item.parent.typename === "GroupItem") continue;
+      const isRigidGroup = rigidGroups && item.typename === "GroupItem" &&
+        (extractOutlines || this.containsImage(item));
+
+      // Check if item is a raster/placed image (or a shape in outline mode)
+      if (isRigidGroup || this.isImageItem(item) || (extractOutlines && this.isShapeItem(item))) {
+        const imageData = await this.extractImageData(item, {
+          extractOutlines: extractOutlines || contourOutlines,
+          outlineTolerance
+        });
         
         // Filter by artboard if specified
         if (artboardIndex !== null) {
@@ -44,7 +77,26 @@ class ImageCollector {
       }
     }
 
-    return images;
+    return this.groupCopies(images);
+  }
+
+  /**
+   * Fold copies made by earlier runs into the design they were copied from
+   * A copy whose design wasn't collected is nested as an item of its own;
+   * hidden or locked copies are left for validation to skip.
+   */
+  groupCopies(images) {
+    const byId = new Map(images.map(img => [img.id, img]));
+
+    return images.filter(img => {
+      if (img.hidden || img.locked) return true;
+
+      const source = img.copyOf ? byId.get(img.copyOf) : null;
+      if (!source || source === img) return true;
+
+      source.copies.push(img.originalItem);
+      return false;
+    });
   }
 
   /**
@@ -97,10 +149,44 @@ class ImageCollector {
            item.typename === "SymbolItem";
   }
 
+  /**
+   * Check if item is vector art that can be nested by its outline
+   * Loose paths only count at layer level, so grouped artwork stays intact
+   */
+  isShapeItem(item) {
+    if (item.typename === "GroupItem") return item.clipped === true;
+    return (item.typename === "PathItem" || item.typename === "CompoundPathItem") &&
+           item.parent && item.parent.typename === "Layer";
+  }
+
+  /**
+   * Check if a group holds an image at any depth
+   */
+  containsImage(group) {
+    for (let i = 0; i < group.pageItems.length; i++) {
+      const child = group.pageItems[i];
+      if (this.isImageItem(child)) return true;
+      if (child.typename === "GroupItem" && this.containsImage(child)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if item sits anywhere inside a clipped group
+   */
+  isInsideClipGroup(item) {
+    let parent = item.parent;
+    while (parent && parent.typename === "GroupItem") {
+      if (parent.clipped) return true;
+      parent = parent.parent;
+    }
+    return false;
+  }
+
   /**
    * Extract comprehensive image data with bounding box
    */
-  async extractImageData(item) {
+  async extractImageData(item, options = {}) {
     // Get geometric bounds [left, top, right, bottom]
     const bounds = item.geometricBounds;
     const left = bounds[0];
@@ -111,6 +197,7 @@ class ImageCollector {
     // Calculate dimensions (Illustrator's Y-axis is inverted)
     const width = right - left;
     const height = top - bottom;
+    const orientation = this.getOrientation(item);
 
     return {
       id: item.uuid || `item_${Date.now()}_${Math.random()}`,
@@ -136,6 +223,22 @@ class ImageCollector {
       
       // Rotation
       rotation: item.rotation || 0,
+      orientation,
+
+      // Resolution at the current size, null when unknown
+      ppi: await this.getEffectivePPI(item),
+      rotationLocked: orientation === "locked",
+      rotationAllowed: this.isRotationAllowed(item),
+      mirrored: this.isMirrored(item),
+
+      // Copies to nest, and copies of this item left by earlier runs
+      quantity: this.getQuantity(item),
+      copyOf: this.getCopySource(item),
+      copies: [],
+
+      // Keep-together tag, from a "tag=kit-12" token
+      tag: this.getTag(item),
+      priority: this.getPriority(item),
       
       // Layer info
       layer: item.layer ? item.layer.name : "Unknown",
@@ -144,10 +247,300 @@ class ImageCollector {
       
       // Additional properties
       opacity: item.opacity || 100,
-      blendMode: item.blendingMode || "Normal"
+      blendMode: item.blendingMode || "Normal",
+
+      // Shape outline in local space (top-left origin, y down), if requested
+      outline: options.extractOutlines
+        ? this.extractOutline(item, left, top, options.outlineTolerance)
+        : null
     };
   }
 
+  /**
+   * Orientation rule: "locked", "180" (half turns only) or "any"
+   * Set with "orient=locked", "orient=180" or "orient=any" in the item's name,
+   * note or layer name, in that order of precedence. "upright" or "norotate"
+   * also lock an item, e.g. artwork with text that must stay readable.
+   */
+  getOrientation(item) {
+    const sources = [item.name, item.note, item.layer ? item.layer.name : ""];
+    for (const text of sources) {
+      const match = /\borient=(locked|180|any)\b/i.exec(text || "");
+      if (match) return match[1].toLowerCase();
+      if (/\b(upright|no-?rotate)\b/i.test(text || "")) return "locked";
+    }
+    return "any";
+  }
+
+  /**
+   * Rotation enabled for this item even with the panel's rotation off, from a
+   * "rotate=yes" token in the name or note, e.g. an order row that may rotate
+   */
+  isRotationAllowed(item) {
+    return /\brotate=yes\b/i.test(item.name || "") || /\brotate=yes\b/i.test(item.note || "");
+  }
+
+  /**
+   * Whether mirrored output left the item reflected, from the "mirrored" note tag
+   */
+  isMirrored(item) {
+    return /\bmirrored(?=\s|$)/i.test(item.note || "");
+  }
+
+  /**
+   * Effective resolution of an item's images in pixels per inch
+   * Groups report their lowest-resolution image; null when there is none or
+   * it can't be read, e.g. a linked PDF.
+   */
+  async getEffectivePPI(item) {
+    try {
+      if (item.typename === "RasterItem") return this.getRasterPPI(item);
+      if (item.typename === "PlacedItem") return await this.getPlacedPPI(item);
+      if (item.typename === "GroupItem") {
+        let lowest = null;
+        for (let i = 0; i < item.pageItems.length; i++) {
+          const ppi = await this.getEffectivePPI(item.pageItems[i]);
+          if (ppi !== null && (lowest === null || ppi < lowest)) lowest = ppi;
+        }
+        return lowest;
+      }
+    } catch (error) {
+      console.error(`Error reading resolution of ${item.name}: ${error.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * An embedded image's matrix maps its pixels to points, one pixel to one
+   * point (72 PPI) at 100%
+   */
+  getRasterPPI(raster) {
+    const m = raster.matrix;
+    const scaleX = Math.hypot(m.mValueA, m.mValueB);
+    const scaleY = Math.hypot(m.mValueC, m.mValueD);
+    return scaleX > 0 && scaleY > 0 ? 72 / Math.max(scaleX, scaleY) : null;
+  }
+
+  /**
+   * A linked image's pixels over its placed size
+   * Long sides are paired with long sides, so quarter turns don't matter;
+   * other angles read a little high. An image file whose header can't be read
+   * falls back to its matrix, as if it were embedded.
+   */
+  async getPlacedPPI(placed) {
+    const path = this.getLinkedPath(placed);
+    if (!path) return null;
+
+    const pixels = await this.getLinkedPixelSize(path);
+    if (!pixels) return RasterFilePattern.test(path) ? this.getRasterPPI(placed) : null;
+
+    const [left, top, right, bottom] = placed.geometricBounds;
+    const sides = [right - left, top - bottom].sort((a, b) => b - a);
+    const pixelSides = [pixels.width, pixels.height].sort((a, b) => b - a);
+    if (!(sides[1] > 0)) return null;
+    return 72 * Math.min(pixelSides[0] / sides[0], pixelSides[1] / sides[1]);
+  }
+
+  /**
+   * Native path of a placed item's linked file, null when it has none
+   */
+  getLinkedPath(placed) {
+    const file = placed.file;
+    if (!file) return null;
+    return typeof file === "string" ? file : file.nativePath || file.fsName || null;
+  }
+
+  /**
+   * Pixel size of a linked file, from its first HEADER_BYTES only
+   * @returns {Promise<Object|null>} - {width, height}, null for vector or unreadable files
+   */
+  async getLinkedPixelSize(path) {
+    const fs = require("fs");
+    const url = `file:${path}`;
+
+    // A relinked or re-saved file gets a new key, so it is read again
+    const stats = await fs.lstat(url);
+    const key = `${path}|${stats.mtimeMs || stats.mtime}`;
+    if (!this.pixelSizes.has(key)) {
+      const fd = await fs.open(url, "r");
+      try {
+        const buffer = new ArrayBuffer(HEADER_BYTES);
+        const { bytesRead } = await fs.read(fd, buffer, 0, HEADER_BYTES, 0);
+        this.pixelSizes.set(key, readPixelSize(new Uint8Array(buffer, 0, bytesRead)));
+      } finally {
+        await fs.close(fd);
+      }
+    }
+    return this.pixelSizes.get(key);
+  }
+
+  /**
+   * Number of copies to nest, from a "qty=50" token in the name or note
+   */
+  getQuantity(item) {
+    const match = /\bqty\s*=\s*(\d+)/i.exec(item.name || "") || /\bqty\s*=\s*(\d+)/i.exec(item.note || "");
+    return match ? Math.max(1, parseInt(match[1], 10)) : 1;
+  }
+
+  /**
+   * Pinned items keep their position, marked with "pinned" in the name or note
+   */
+  isPinned(item) {
+    return /\bpinned\b/i.test(`${item.name || ""} ${item.note || ""}`);
+  }
+
+  isInsidePinnedGroup(item) {
+    let parent = item.parent;
+    while (parent && parent.typename === "GroupItem") {
+      if (this.isPinned(parent)) return true;
+      parent = parent.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Packing priority from a "priority=2" token; higher goes first, default 0
+   */
+  getPriority(item) {
+    const pattern = /\bpriority\s*=\s*(-?\d+)/i;
+    const match = pattern.exec(item.name || "") || pattern.exec(item.note || "");
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Keep-together tag from a "tag=name" token in the name or note
+   */
+  getTag(item) {
+    const match = /\btag=(\S+)/i.exec(item.name || "") || /\btag=(\S+)/i.exec(item.note || "");
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Id of the design an item was copied from, tagged "copyof=<id>" in its note
+   */
+  getCopySource(item) {
+    const match = /\bcopyof=(\S+)/.exec(item.note || "");
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Extract a simplified outline of an item
+   * Uses the clipping path, the item's own paths, or a trace of a raster's
+   * alpha, in that order. Returns null to fall back to the bounding box.
+   * @returns {Array|null} - Rings of {x, y} relative to the item's top-left
+   */
+  extractOutline(item, left, top, tolerance = 1) {
+    try {
+      let rings = [];
+
+      if (item.typename === "GroupItem" && item.clipped) {
+        const clipPath = this.findClippingPath(item);
+        if (clipPath) rings = this.collectPathRings(clipPath);
+      } else if (item.typename === "PathItem" || item.typename === "CompoundPathItem") {
+        rings = this.collectPathRings(item);
+      } else if (item.typename === "RasterItem") {
+        rings = this.traceRasterOutline(item);
+      }
+
+      if (rings.length === 0) return null;
+
+      // Convert to local space: Illustrator's Y-axis is inverted
+      return rings
+        .map(ring => ring.map(p => ({ x: p.x - left, y: top - p.y })))
+        .map(ring => simplifyPolygon(ring, tolerance))
+        .filter(ring => ring.length >= 3);
+
+    } catch (error) {
+      console.error(`Error extracting outline for ${item.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Find the clipping path of a clipped group
+   */
+  findClippingPath(group) {
+    for (let i = 0; i < group.pageItems.length; i++) {
+      const child = group.pageItems[i];
+      if (child.clipping ||
+          (child.typename === "CompoundPathItem" && child.pathItems.length > 0 && child.pathItems[0].clipping)) {
+        return child;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Flatten paths into rings of document coordinates
+   */
+  collectPathRings(item) {
+    const rings = [];
+
+    if (item.typename === "PathItem") {
+      const ring = this.flattenPath(item);
+      if (ring.length >= 3) rings.push(ring);
+    } else if (item.typename === "CompoundPathItem") {
+      for (let i = 0; i < item.pathItems.length; i++) {
+        rings.push(...this.collectPathRings(item.pathItems[i]));
+      }
+    } else if (item.typename === "GroupItem") {
+      for (let i = 0; i < item.pageItems.length; i++) {
+        rings.push(...this.collectPathRings(item.pageItems[i]));
+      }
+    }
+
+    return rings;
+  }
+
+  /**
+   * Sample a path's Bézier segments into points
+   */
+  flattenPath(pathItem) {
+    const pathPoints = pathItem.pathPoints;
+    const count = pathPoints.length;
+    const points = [];
+    const toPoint = (arr) => ({ x: arr[0], y: arr[1] });
+
+    // Open paths are treated as closed: the packer needs an area
+    for (let i = 0; i < count; i++) {
+      const current = pathPoints[i];
+      const next = pathPoints[(i + 1) % count];
+      points.push(...sampleCubicBezier(
+        toPoint(current.anchor),
+        toPoint(current.rightDirection),
+        toPoint(next.leftDirection),
+        toPoint(next.anchor)
+      ));
+    }
+
+    return points;
+  }
+
+  /**
+   * Trace a raster's opaque area into rings
+   * Works on a duplicate, which is removed afterwards
+   */
+  traceRasterOutline(raster) {
+    let tracingObject = null;
+    let traced = null;
+
+    try {
+      tracingObject = raster.duplicate().trace();
+      const options = tracingObject.tracing.tracingOptions;
+      options.loadFromPreset("Silhouettes");
+      options.ignoreWhite = true;
+      app.redraw();
+
+      traced = tracingObject.tracing.expandTracing();
+      tracingObject = null; // Expanding replaces the tracing object
+      return this.collectPathRings(traced);
+
+    } finally {
+      if (tracingObject) tracingObject.remove();
+      if (traced) traced.remove();
+    }
+  }
+
   /**
    * Check if item is within artboard bounds
    */
@@ -165,6 +558,67 @@ class ImageCollector {
            imageData.centerY <= abTop;
   }
 
+  /**
+   * Read keep-out regions from the shapes on a named guide layer
+   * The layer may be locked or hidden; only shapes overlapping the artboard count.
+   * @returns {Array} - Array of {x, y, width, height} from the artboard's top-left (y down)
+   */
+  collectKeepOutRegions(doc, layerName, artboardIndex = 0) {
+    let layer = null;
+    for (let i = 0; i < doc.layers.length; i++) {
+      if (doc.layers[i].name === layerName) {
+        layer = doc.layers[i];
+        break;
+      }
+    }
+    if (!layer) return [];
+
+    const artboard = doc.artboards[artboardIndex];
+    if (!artboard) return [];
+    const [abLeft, abTop, abRight, abBottom] = artboard.artboardRect;
+
+    const regions = [];
+    for (let i = 0; i < layer.pageItems.length; i++) {
+      const [left, top, right, bottom] = layer.pageItems[i].geometricBounds;
+      if (right <= abLeft || left >= abRight || top <= abBottom || bottom >= abTop) continue;
+
+      regions.push({
+        x: left - abLeft,
+        y: abTop - top,
+        width: right - left,
+        height: top - bottom
+      });
+    }
+    return regions;
+  }
+
+  /**
+   * Read the bounds of pinned items, which nesting must work around
+   * Selection doesn't matter: a pinned item is in the way whether selected or not.
+   * @returns {Array} - Array of {x, y, width, height} from the artboard's top-left (y down)
+   */
+  collectPinnedRegions(doc, artboardIndex = 0) {
+    const artboard = doc.artboards[artboardIndex];
+    if (!artboard) return [];
+    const [abLeft, abTop, abRight, abBottom] = artboard.artboardRect;
+
+    const regions = [];
+    for (const item of this.getAllItems(doc)) {
+      if (!this.isPinned(item) || item.hidden) continue;
+
+      const [left, top, right, bottom] = item.geometricBounds;
+      if (right <= abLeft || left >= abRight || top <= abBottom || bottom >= abTop) continue;
+
+      regions.push({
+        x: left - abLeft,
+        y: abTop - top,
+        width: right - left,
+        height: top - bottom
+      });
+    }
+    return regions;
+  }
+
   /**
    * Get available artboards
    */
@@ -3,16 +3,31 @@
  * Handles coordinate transformation and batch updates
  */
 
+/**
+ * Note tokens that steer later runs (quantity, copies, keep-together, priority,
+ * orientation, pinning, reflection); kept when the note is rewritten after placing
+ */
+const NoteTagPattern = /\b(?:qty\s*=\s*\d+|priority\s*=\s*-?\d+|(?:copyof|tag|orient)=\S+|upright|no-?rotate|rotate=yes|pinned|mirrored)(?=\s|$)/gi;
+
+/**
+ * Tag recording that an item was left reflected by mirrored output
+ */
+const MirroredTagPattern = /\bmirrored(?=\s|$)/i;
+
 class LayoutApplier {
   constructor(options = {}) {
     this.animationDuration = options.animationDuration || 0; // Future: animate moves
     this.undoGroupName = options.undoGroupName || "Auto Nest Images";
+    this.sheetGap = options.sheetGap || 100; // Gap between generated sheet artboards
   }
 
   /**
    * Apply nesting layout to images
+   * Every change is recorded in a transaction; if anything fails the
+   * transaction is reverted, so the document is never left half-nested.
    * @param {Array} placements - Array from nesting engine
    * @param {Object} options - Application options
+   * @returns {Promise<Object>} - {success, count, sheets, transaction}
    */
   async applyLayout(placements, options = {}) {
     if (!placements || placements.length === 0) {
@@ -23,7 +38,13 @@ class LayoutApplier {
       artboardIndex = null,
       anchorPoint = "TOP_LEFT", // TOP_LEFT, CENTER, etc.
       offsetX = 0,
-      offsetY = 0
+      offsetY = 0,
+      rollLength = null, // Resize the artboard to this length (roll media)
+      artwork = [], // SheetArtwork generators (marks, contours) drawn on each sheet
+      copies = new Map(), // Copies left by earlier runs, by design id; replaced by fresh ones
+      createdItems = [], // {item, recreate} items added before the run (e.g. imported), undone with it
+      mirror = false, // Reflect every item horizontally, e.g. for transfer printing
+      media = null // {name, width, height}: nest onto an artboard of this size instead
     } = options;
 
     // Get document and artboard reference
@@ -31,63 +52,540 @@ class LayoutApplier {
     if (!doc) throw new Error("No active document");
 
     let targetArtboard = null;
-    let baseX = offsetX;
-    let baseY = offsetY;
-
-    if (artboardIndex !== null && doc.artboards[artboardIndex]) {
+    const mediaSheet = media ? this.planMediaSheet(doc, media, artboardIndex, rollLength) : null;
+    if (!media && artboardIndex !== null && doc.artboards[artboardIndex]) {
       targetArtboard = doc.artboards[artboardIndex];
-      const abBounds = targetArtboard.artboardRect;
-      baseX += abBounds[0]; // Left edge of artboard
-      baseY += abBounds[1]; // Top edge of artboard (inverted Y)
     }
 
+    let sheets = this.groupBySheet(placements);
+    if (sheets.size > 1 && !targetArtboard && !mediaSheet) {
+      throw new Error("Multi-sheet layouts need a target artboard");
+    }
+
+    const transaction = this.createTransaction(`Nest ${placements.length} images`, doc);
+    transaction.createdItems.push(...createdItems);
+
     // Begin undo group for batch operation
     doc.selection = null; // Deselect all
 
     try {
-      // Process placements in batches for performance
-      const batchSize = 50;
-      for (let i = 0; i < placements.length; i += batchSize) {
-        const batch = placements.slice(i, i + batchSize);
-        await this.processBatch(batch, baseX, baseY);
+      if (mediaSheet) {
+        targetArtboard = this.getMediaArtboard(doc, mediaSheet, media, transaction);
+      }
+
+      let baseX = offsetX;
+      let baseY = offsetY;
+      if (targetArtboard) {
+        const abBounds = targetArtboard.artboardRect;
+        baseX += abBounds[0]; // Left edge of artboard
+        baseY += abBounds[1]; // Top edge of artboard (inverted Y)
+      }
+
+      // Extra copies of a design need items of their own before anything moves
+      sheets = this.groupBySheet(this.resolveCopies(placements, copies, transaction));
+
+      if (rollLength !== null && targetArtboard) {
+        this.resizeArtboard(targetArtboard, null, rollLength, transaction);
+      }
+
+      const sheetPlan = targetArtboard ? this.planSheets(doc, targetArtboard, [...sheets.keys()]) : new Map();
+      const sheetRecords = [];
+
+      for (const [sheetIndex, sheetPlacements] of sheets) {
+        let sheetX = baseX;
+        let sheetY = baseY;
+        let sheetArtboard = targetArtboard;
+
+        // Extra sheets go onto their own artboards
+        if (sheetIndex > 0) {
+          sheetArtboard = this.getSheetArtboard(doc, sheetPlan.get(sheetIndex), transaction);
+          const sheetBounds = sheetArtboard.artboardRect;
+          sheetX = offsetX + sheetBounds[0];
+          sheetY = offsetY + sheetBounds[1];
+        }
+
+        if (sheetArtboard) {
+          sheetRecords.push({ name: sheetArtboard.name, rect: sheetArtboard.artboardRect, placements: sheetPlacements });
+        }
+
+        // Process placements in batches for performance
+        const batchSize = 50;
+        for (let i = 0; i < sheetPlacements.length; i += batchSize) {
+          const batch = sheetPlacements.slice(i, i + batchSize);
+          await this.processBatch(batch, sheetX, sheetY, transaction, mirror);
+        }
+      }
+
+      if (sheetRecords.length > 0) {
+        for (const generator of artwork) {
+          generator.drawSheets(doc, sheetRecords, transaction);
+        }
       }
 
       console.log(`Successfully repositioned ${placements.length} images`);
       return {
         success: true,
-        count: placements.length
+        count: placements.length,
+        sheets: sheets.size,
+        transaction
       };
 
     } catch (error) {
-      console.error("Error applying layout:", error);
+      console.error("Error applying layout, rolling back:", error);
+      this.revertTransaction(transaction);
+      throw error;
+    }
+  }
+
+  /**
+   * A transaction records everything one layout run changed
+   * An item's artboard follows from its position, so artboards are
+   * tracked as created or resized rather than per item.
+   */
+  createTransaction(label, document = null) {
+    return {
+      label,
+      document, // Redo recreates artboards here, even when another document is active
+      timestamp: Date.now(),
+      items: [], // {item, before, after, rotation, mirrored, scale}
+      createdArtboards: [], // {artboard, name, rect}
+      resizedArtboards: [], // {artboard, before, after}
+      createdArt: [], // {items, recreate} for generated artwork such as marks
+      createdItems: [], // {item, recreate(current), placement?} items added by the run, such as copies
+      hiddenArt: [] // Artwork from earlier runs, hidden until the transaction is discarded
+    };
+  }
+
+  /**
+   * Snapshot the state of an item that nesting may change
+   */
+  captureItemState(item) {
+    const bounds = item.geometricBounds;
+    return {
+      left: bounds[0],
+      top: bounds[1],
+      note: item.note || "",
+      layer: item.layer
+    };
+  }
+
+  /**
+   * Restore an item to a captured state (rotation is handled by the caller)
+   */
+  restoreItemState(item, state) {
+    if (state.layer && item.layer && item.layer.name !== state.layer.name) {
+      item.move(state.layer, ElementPlacement.PLACEATEND);
+    }
+    this.moveItem(item, state.left, state.top);
+    item.note = state.note;
+  }
+
+  /**
+   * Undo a transaction, newest change first
+   * Keeps going past individual failures so as much as possible is restored
+   */
+  revertTransaction(transaction) {
+    const failures = [];
+
+    for (const created of transaction.createdArt) {
+      for (const item of created.items) {
+        try {
+          this.editOnLayer(item, () => item.remove());
+        } catch (error) {
+          failures.push(error);
+        }
+      }
+    }
+
+    for (const item of transaction.hiddenArt) {
+      try {
+        this.editOnLayer(item, () => { item.hidden = false; });
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    for (const entry of [...transaction.items].reverse()) {
+      try {
+        // Mirrored after rotating, so unmirror first
+        if (entry.mirrored) {
+          this.mirrorItem(entry.item);
+        }
+        if (entry.rotation) {
+          this.rotateItem(entry.item, -entry.rotation);
+        }
+        if (entry.scale && entry.scale !== 1) {
+          this.scaleItem(entry.item, 1 / entry.scale);
+        }
+        this.restoreItemState(entry.item, entry.before);
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    for (const created of transaction.createdItems) {
+      try {
+        created.item.remove();
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    for (const created of transaction.createdArtboards) {
+      try {
+        created.artboard.remove();
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    for (const resized of transaction.resizedArtboards) {
+      try {
+        resized.artboard.artboardRect = resized.before;
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+
+    if (failures.length > 0) {
+      console.error(`${failures.length} changes could not be reverted:`, failures);
+    }
+    return failures.length === 0;
+  }
+
+  /**
+   * Redo a reverted transaction
+   * Partial progress is tracked in its own transaction and reverted on failure
+   */
+  reapplyTransaction(transaction) {
+    const doc = transaction.document || app.activeDocument;
+    const applied = this.createTransaction(transaction.label, doc);
+
+    try {
+      for (const resized of transaction.resizedArtboards) {
+        resized.artboard.artboardRect = resized.after;
+        applied.resizedArtboards.push(resized);
+      }
+
+      // Removed artboards are recreated, so refresh the references
+      for (const created of transaction.createdArtboards) {
+        created.artboard = doc.artboards.add(created.rect);
+        created.artboard.name = created.name;
+        applied.createdArtboards.push(created);
+      }
+
+      // Removed items are created again, so refresh the references; copies of
+      // a recreated item are duplicated from its replacement
+      const replaced = new Map();
+      const current = (item) => replaced.get(item) || item;
+      for (const created of transaction.createdItems) {
+        const item = created.recreate(current);
+        replaced.set(created.item, item);
+        for (const entry of transaction.items) {
+          if (entry.item === created.item) entry.item = item;
+        }
+        created.item = item;
+        if (created.placement) created.placement.originalItem = item;
+        applied.createdItems.push(created);
+      }
+
+      for (const entry of transaction.items) {
+        if (!entry.after) continue;
+
+        const progress = { item: entry.item, before: entry.before, after: null, rotation: 0, mirrored: false, scale: 1 };
+        applied.items.push(progress);
+
+        if (entry.scale && entry.scale !== 1) {
+          this.scaleItem(entry.item, entry.scale);
+          progress.scale = entry.scale;
+        }
+        if (entry.rotation) {
+          this.rotateItem(entry.item, entry.rotation);
+          progress.rotation = entry.rotation;
+        }
+        if (entry.mirrored) {
+          this.mirrorItem(entry.item);
+          progress.mirrored = true;
+        }
+        this.restoreItemState(entry.item, entry.after);
+      }
+
+      for (const item of transaction.hiddenArt) {
+        this.editOnLayer(item, () => { item.hidden = true; });
+        applied.hiddenArt.push(item);
+      }
+
+      // Removed artwork is drawn again, so refresh the references
+      for (const created of transaction.createdArt) {
+        created.items = created.recreate();
+        applied.createdArt.push({ items: created.items });
+      }
+
+    } catch (error) {
+      console.error("Error re-applying layout, rolling back:", error);
+      this.revertTransaction(applied);
       throw error;
     }
   }
 
+  /**
+   * Forget a transaction for good: artwork it hid is deleted
+   * Called when a transaction can no longer be undone.
+   */
+  discardTransaction(transaction) {
+    for (const item of transaction.hiddenArt) {
+      try {
+        this.editOnLayer(item, () => item.remove());
+      } catch (error) {
+        console.error("Error removing hidden artwork:", error);
+      }
+    }
+    transaction.hiddenArt = [];
+  }
+
+  /**
+   * Run a change on an item whose layer may be locked
+   */
+  editOnLayer(item, change) {
+    const layer = item.layer;
+    const wasLocked = layer.locked;
+    layer.locked = false;
+    try {
+      change();
+    } finally {
+      layer.locked = wasLocked;
+    }
+  }
+
+  /**
+   * Give every extra copy of a design an item of its own
+   * Copies are duplicated afresh from the source, so each starts in the
+   * orientation the placement is relative to; copies left by earlier runs may
+   * be rotated differently, so they are hidden until the transaction is discarded.
+   * @returns {Array} - Placements, with copies pointing at their own items
+   */
+  resolveCopies(placements, copies, transaction) {
+    const resolved = placements.map(placement => {
+      if (!placement.copyIndex || !placement.originalItem) return placement;
+
+      const source = placement.originalItem;
+      const name = (source.name || "").replace(/\s*\bqty\s*=\s*\d+/i, "").trim();
+      // A copy of a reflected source is reflected too
+      const note = `copyof=${placement.sourceId}${this.isMirrored(source) ? " mirrored" : ""}`;
+      const copy = this.duplicateItem(source, name, note);
+      const copyPlacement = { ...placement, originalItem: copy };
+      transaction.createdItems.push({
+        item: copy,
+        recreate: (current) => this.duplicateItem(current(source), name, note),
+        placement: copyPlacement
+      });
+      return copyPlacement;
+    });
+
+    for (const existing of copies.values()) {
+      for (const item of existing) {
+        this.editOnLayer(item, () => { item.hidden = true; });
+        transaction.hiddenArt.push(item);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Duplicate an item just above it; the note tags it as a copy for later runs
+   */
+  duplicateItem(source, name, note) {
+    const copy = source.duplicate(source, ElementPlacement.PLACEBEFORE);
+    copy.name = name;
+    copy.note = note;
+    return copy;
+  }
+
+  /**
+   * Group placements by sheet index, in sheet order
+   */
+  groupBySheet(placements) {
+    const sheets = new Map();
+    const sorted = [...placements].sort((a, b) => (a.sheetIndex || 0) - (b.sheetIndex || 0));
+    for (const placement of sorted) {
+      const index = placement.sheetIndex || 0;
+      if (!sheets.has(index)) sheets.set(index, []);
+      sheets.get(index).push(placement);
+    }
+    return sheets;
+  }
+
+  /**
+   * Work out where each extra sheet goes without changing the document
+   * Sheets are named after the target artboard and reused on later runs;
+   * missing ones are lined up to the right of every existing artboard.
+   * @returns {Map} - sheetIndex → {name, rect, artboard (null if it must be created)}
+   */
+  planSheets(doc, targetArtboard, sheetIndexes) {
+    const targetBounds = targetArtboard.artboardRect;
+    const width = targetBounds[2] - targetBounds[0];
+    const height = targetBounds[1] - targetBounds[3];
+    const top = targetBounds[1];
+
+    let rightEdge = targetBounds[2];
+    for (let i = 0; i < doc.artboards.length; i++) {
+      rightEdge = Math.max(rightEdge, doc.artboards[i].artboardRect[2]);
+    }
+
+    const plan = new Map();
+    for (const sheetIndex of [...sheetIndexes].sort((a, b) => a - b)) {
+      if (sheetIndex === 0) continue;
+
+      const name = `${targetArtboard.name} - Sheet ${sheetIndex + 1}`;
+      let artboard = null;
+      for (let i = 0; i < doc.artboards.length; i++) {
+        if (doc.artboards[i].name === name) {
+          artboard = doc.artboards[i];
+          break;
+        }
+      }
+
+      if (artboard) {
+        plan.set(sheetIndex, { name, rect: artboard.artboardRect, artboard });
+      } else {
+        const left = rightEdge + this.sheetGap;
+        rightEdge = left + width;
+        plan.set(sheetIndex, { name, rect: [left, top, left + width, top - height], artboard: null });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Work out where a media's artboard goes without changing the document
+   * The artboard is named after the media and reused on later runs; a new one
+   * is lined up to the right of every existing artboard, level with the chosen
+   * one. Rolls start as long as the used length, or as long as they are wide.
+   * @returns {Object} - {name, rect, artboard (null if it must be created)}
+   */
+  planMediaSheet(doc, media, artboardIndex = null, rollLength = null) {
+    const name = media.name;
+    for (let i = 0; i < doc.artboards.length; i++) {
+      if (doc.artboards[i].name === name) {
+        return { name, rect: doc.artboards[i].artboardRect, artboard: doc.artboards[i] };
+      }
+    }
+
+    const reference = doc.artboards[artboardIndex !== null ? artboardIndex : 0];
+    const top = reference ? reference.artboardRect[1] : 0;
+    let rightEdge = reference ? reference.artboardRect[2] : 0;
+    for (let i = 0; i < doc.artboards.length; i++) {
+      rightEdge = Math.max(rightEdge, doc.artboards[i].artboardRect[2]);
+    }
+
+    const left = rightEdge + this.sheetGap;
+    const height = media.height || rollLength || media.width;
+    return { name, rect: [left, top, left + media.width, top - height], artboard: null };
+  }
+
+  /**
+   * Return a media's artboard, creating it or resizing a reused one to the media
+   */
+  getMediaArtboard(doc, sheet, media, transaction = null) {
+    const artboard = this.getSheetArtboard(doc, sheet, transaction);
+    if (!sheet.artboard) return artboard;
+
+    const [left, top, right, bottom] = artboard.artboardRect;
+    const widthChanged = Math.abs(right - left - media.width) > 0.01;
+    const heightChanged = media.height && Math.abs(top - bottom - media.height) > 0.01;
+    if (widthChanged || heightChanged) {
+      this.resizeArtboard(artboard, media.width, media.height || null, transaction);
+    }
+    return artboard;
+  }
+
+  /**
+   * Return a planned sheet's artboard, creating it if needed
+   */
+  getSheetArtboard(doc, sheet, transaction = null) {
+    if (sheet.artboard) return sheet.artboard;
+
+    const artboard = doc.artboards.add(sheet.rect);
+    artboard.name = sheet.name;
+
+    if (transaction) {
+      transaction.createdArtboards.push({ artboard, name: sheet.name, rect: sheet.rect });
+    }
+    return artboard;
+  }
+
+  /**
+   * Resize an artboard keeping its top-left corner fixed
+   * Pass null to keep a dimension unchanged
+   */
+  resizeArtboard(artboard, width, height, transaction = null) {
+    const bounds = artboard.artboardRect;
+    const left = bounds[0];
+    const top = bounds[1];
+    const newWidth = width !== null ? width : bounds[2] - bounds[0];
+    const newHeight = height !== null ? height : bounds[1] - bounds[3];
+
+    const rect = [left, top, left + newWidth, top - newHeight];
+    artboard.artboardRect = rect;
+
+    if (transaction) {
+      transaction.resizedArtboards.push({ artboard, before: [...bounds], after: rect });
+    }
+  }
+
   /**
    * Process a batch of placements
    */
-  async processBatch(placements, baseX, baseY) {
+  async processBatch(placements, baseX, baseY, transaction = null, mirror = false) {
     for (const placement of placements) {
       const item = placement.originalItem;
       if (!item) continue;
 
+      // Record before touching the item so a failure can be reverted
+      const entry = { item, before: this.captureItemState(item), after: null, rotation: 0, mirrored: false, scale: 1 };
+      if (transaction) transaction.items.push(entry);
+
       // Calculate new position
       const newLeft = baseX + placement.x;
       const newTop = baseY - placement.y; // Invert Y-axis
 
-      // Apply rotation if needed
-      if (placement.rotated) {
-        this.rotateItem(item, 90);
+      // Fit-to-sheet and normalized sizes scale about the centre before rotating
+      const scale = placement.scale || 1;
+      if (Math.abs(scale - 1) > 1e-6) {
+        this.scaleItem(item, scale);
+        entry.scale = scale;
+      }
+
+      // Apply rotation if needed (older placements only carry the 90° flag)
+      const rotation = placement.rotation !== undefined ? placement.rotation : (placement.rotated ? 90 : 0);
+      if (rotation) {
+        this.rotateItem(item, rotation);
+        entry.rotation = rotation;
+      }
+
+      // Reflecting about the centre keeps the bounds the engine planned for;
+      // items an earlier run left reflected are only flipped back when mirroring is off
+      const reflect = mirror !== this.isMirrored(item);
+      if (reflect) {
+        this.mirrorItem(item);
+        entry.mirrored = true;
       }
 
       // Move item to new position
       this.moveItem(item, newLeft, newTop);
 
-      // Optional: Update item name with position
+      // Optional: Update item name with position, keeping the nesting tags
       if (item.name) {
-        item.note = `Nested at (${Math.round(placement.x)}, ${Math.round(placement.y)})`;
+        const tags = (item.note || "").match(NoteTagPattern) || [];
+        item.note = [`Nested at (${Math.round(placement.x)}, ${Math.round(placement.y)})`, ...tags].join(" ");
       }
+      if (reflect) {
+        item.note = this.setMirroredTag(item.note || "", mirror);
+      }
+
+      entry.after = this.captureItemState(item);
     }
   }
 
@@ -111,9 +609,57 @@ class LayoutApplier {
 
     } catch (error) {
       console.error(`Error moving item: ${error.message}`);
+      throw error;
     }
   }
 
+  /**
+   * Scale an item uniformly about its centre, strokes included
+   */
+  scaleItem(item, scale) {
+    item.resize(
+      scale * 100, // scaleX
+      scale * 100, // scaleY
+      true, // changePositions
+      true, // changeFillPatterns
+      true, // changeFillGradients
+      true, // changeStrokePattern
+      scale * 100, // changeLineWidths
+      Transformation.CENTER
+    );
+  }
+
+  /**
+   * Reflect an item horizontally about its centre (its own inverse)
+   */
+  mirrorItem(item) {
+    item.resize(
+      -100, // scaleX
+      100, // scaleY
+      true, // changePositions
+      true, // changeFillPatterns
+      true, // changeFillGradients
+      true, // changeStrokePattern
+      100, // changeLineWidths
+      Transformation.CENTER
+    );
+  }
+
+  /**
+   * Whether an earlier run left an item reflected
+   */
+  isMirrored(item) {
+    return MirroredTagPattern.test(item.note || "");
+  }
+
+  /**
+   * Add or remove the tag recording an item's reflection
+   */
+  setMirroredTag(note, mirrored) {
+    const rest = note.replace(new RegExp(`\\s*${MirroredTagPattern.source}`, "gi"), "").trim();
+    return mirrored ? `${rest} mirrored`.trim() : rest;
+  }
+
   /**
    * Rotate item around its center
    */
@@ -155,34 +701,136 @@ class LayoutApplier {
   }
 
   /**
-   * Create visual preview of layout (optional)
+   * Draw a preview of a layout on its own locked layer, without moving anything
+   * Boxes are blue, orange when rotated and red when they run off the sheet;
+   * sheets that don't exist yet and the roll length are outlined, and
+   * reserved areas (margins, keep-out regions) are shaded grey.
+   * @param {Array} placements - Array from nesting engine
+   * @param {Object} options - {artboardIndex, offsetX, offsetY, rollLength, reservedAreas, media}
    */
-  createPreview(placements, baseX, baseY) {
+  createPreview(placements, options = {}) {
+    const {
+      artboardIndex = null,
+      offsetX = 0,
+      offsetY = 0,
+      rollLength = null,
+      reservedAreas = [], // {x, y, width, height} relative to each sheet
+      media = null, // {name, width, height}: preview on the media's artboard
+      lowResolution = new Map() // Design id → effective PPI, for designs below the minimum
+    } = options;
+
     const doc = app.activeDocument;
+    this.removePreview();
+
     const previewLayer = doc.layers.add();
     previewLayer.name = "Nesting Preview";
 
-    for (const placement of placements) {
-      // Create rectangle to show placement
-      const rect = previewLayer.pathItems.rectangle(
-        baseY - placement.y, // top
-        baseX + placement.x, // left
-        placement.width,
-        placement.height
-      );
+    let targetArtboard = artboardIndex !== null ? doc.artboards[artboardIndex] : null;
+    if (media) {
+      // A media artboard that doesn't exist yet is outlined, and extra sheets line up after it
+      const sheet = this.planMediaSheet(doc, media, artboardIndex, rollLength);
+      targetArtboard = sheet.artboard || { name: sheet.name, artboardRect: sheet.rect };
+      if (!sheet.artboard && rollLength === null) this.drawPreviewSheet(previewLayer, sheet.rect, sheet.name);
+    }
+
+    const sheets = this.groupBySheet(placements);
+    const sheetPlan = targetArtboard ? this.planSheets(doc, targetArtboard, [...sheets.keys()]) : new Map();
+
+    for (const [sheetIndex, sheetPlacements] of sheets) {
+      let sheetRect = targetArtboard ? targetArtboard.artboardRect : null;
+      if (sheetIndex > 0) {
+        const sheet = sheetPlan.get(sheetIndex);
+        sheetRect = sheet.rect;
+        if (!sheet.artboard) this.drawPreviewSheet(previewLayer, sheetRect, sheet.name);
+      }
+
+      const baseX = offsetX + (sheetRect ? sheetRect[0] : 0);
+      const baseY = offsetY + (sheetRect ? sheetRect[1] : 0);
+      const sheetWidth = sheetRect ? sheetRect[2] - sheetRect[0] : Infinity;
+      let sheetHeight = sheetRect ? sheetRect[1] - sheetRect[3] : Infinity;
 
-      // Style as preview
-      rect.filled = false;
-      rect.stroked = true;
-      rect.strokeColor = this.createRGBColor(0, 150, 255);
-      rect.strokeWidth = 1;
-      rect.strokeDashes = [5, 5]; // Dashed line
-      rect.opacity = 50;
+      if (sheetIndex === 0 && rollLength !== null && sheetRect) {
+        sheetHeight = rollLength;
+        this.drawPreviewSheet(previewLayer,
+          [sheetRect[0], sheetRect[1], sheetRect[2], sheetRect[1] - rollLength], "Roll length");
+      }
+
+      if (sheetRect) {
+        for (const area of reservedAreas) {
+          this.drawReservedArea(previewLayer, baseX + area.x, baseY - area.y, area.width, area.height);
+        }
+      }
+
+      sheetPlacements.forEach((placement, index) => {
+        const overflow = placement.x + placement.width > sheetWidth ||
+                         placement.y + placement.height > sheetHeight;
+        const ppi = lowResolution.get(placement.sourceId || placement.id);
+        const color = overflow ? this.createRGBColor(230, 60, 60) :
+                      ppi !== undefined ? this.createRGBColor(190, 80, 230) :
+                      placement.rotated ? this.createRGBColor(245, 160, 30) :
+                      this.createRGBColor(0, 150, 255);
+
+        // Create rectangle to show placement
+        const rect = previewLayer.pathItems.rectangle(
+          baseY - placement.y, // top
+          baseX + placement.x, // left
+          placement.width,
+          placement.height
+        );
+
+        // Style as preview
+        rect.filled = false;
+        rect.stroked = true;
+        rect.strokeColor = color;
+        rect.strokeWidth = 1;
+        rect.strokeDashes = [5, 5]; // Dashed line
+        rect.opacity = 50;
+
+        const item = placement.originalItem;
+        const name = (item && item.name) || `#${index + 1}`;
+        const label = previewLayer.textFrames.add();
+        label.contents = (placement.rotated ? `${name} (${placement.rotation || 90}°)` : name) +
+          (ppi !== undefined ? ` ${ppi} PPI` : "");
+        label.left = baseX + placement.x + 2;
+        label.top = baseY - placement.y - 2;
+        label.textRange.characterAttributes.size = 7;
+        label.textRange.characterAttributes.fillColor = color;
+      });
     }
 
+    // Locked so collection never picks up the preview boxes
+    previewLayer.locked = true;
     return previewLayer;
   }
 
+  /**
+   * Outline a sheet that only exists in the preview
+   */
+  drawPreviewSheet(layer, rect, name) {
+    const outline = layer.pathItems.rectangle(rect[1], rect[0], rect[2] - rect[0], rect[1] - rect[3]);
+    outline.filled = false;
+    outline.stroked = true;
+    outline.strokeColor = this.createRGBColor(160, 160, 160);
+    outline.strokeWidth = 1;
+
+    const label = layer.textFrames.add();
+    label.contents = name;
+    label.left = rect[0];
+    label.top = rect[1] + 12;
+    label.textRange.characterAttributes.size = 9;
+  }
+
+  /**
+   * Shade space the packer had to leave empty
+   */
+  drawReservedArea(layer, left, top, width, height) {
+    const area = layer.pathItems.rectangle(top, left, width, height);
+    area.filled = true;
+    area.fillColor = this.createRGBColor(128, 128, 128);
+    area.stroked = false;
+    area.opacity = 25;
+  }
+
   /**
    * Remove preview layer
    */
@@ -190,6 +838,7 @@ class LayoutApplier {
     const doc = app.activeDocument;
     for (let i = doc.layers.length - 1; i >= 0; i--) {
       if (doc.layers[i].name === "Nesting Preview") {
+        doc.layers[i].locked = false;
         doc.layers[i].remove();
       }
     }
@@ -0,0 +1,176 @@
+/**
+ * Layout export and re-import
+ * A finished layout is written as a JSON job file (reusable) or a CSV report
+ * (for MIS / costing). A job file can be matched back onto a document's items
+ * by uuid or name and applied again, reproducing an approved layout exactly.
+ */
+
+const LAYOUT_FILE_VERSION = 1;
+
+const CSVColumns = ["name", "id", "x", "y", "width", "height", "rotation", "sheet", "bleed", "efficiency"];
+
+class LayoutFile {
+  /**
+   * Plain record of a layout
+   * Positions are in points from each sheet's top-left; rotation is relative
+   * to the items' orientation, and scale to their size, when they were nested.
+   * @param {Object} layout - {placements, binMode, artboardIndex, targetWidth, targetHeight, rollLength, media}
+   * @param {Object} info - {efficiency, documentName, settings}
+   */
+  createRecord(layout, info = {}) {
+    return {
+      version: LAYOUT_FILE_VERSION,
+      created: new Date().toISOString(),
+      document: info.documentName || "",
+      units: "pt",
+      binMode: layout.binMode,
+      artboardIndex: layout.artboardIndex,
+      targetWidth: layout.targetWidth,
+      targetHeight: layout.targetHeight,
+      rollLength: layout.rollLength,
+      media: layout.media ? layout.media.name : "",
+      efficiency: info.efficiency,
+      settings: info.settings || {},
+      placements: layout.placements.map(p => ({
+        name: p.originalItem && p.originalItem.name ? p.originalItem.name : "",
+        id: p.id,
+        sourceId: p.sourceId || p.id,
+        copyIndex: p.copyIndex || 0,
+        x: this.round(p.x),
+        y: this.round(p.y),
+        width: this.round(p.width),
+        height: this.round(p.height),
+        rotation: p.rotation || 0,
+        scale: p.scale || 1,
+        sheetIndex: p.sheetIndex || 0,
+        bleed: p.bleed || 0
+      }))
+    };
+  }
+
+  toJSON(layout, info = {}) {
+    return JSON.stringify(this.createRecord(layout, info), null, 2);
+  }
+
+  /**
+   * One row per placement; sheets are numbered from 1
+   */
+  toCSV(layout, info = {}) {
+    const record = this.createRecord(layout, info);
+    const rows = record.placements.map(p => [
+      p.name, p.id, p.x, p.y, p.width, p.height, p.rotation, p.sheetIndex + 1, p.bleed, record.efficiency
+    ]);
+
+    return [CSVColumns, ...rows]
+      .map(row => row.map(value => this.escapeCSV(value)).join(","))
+      .join("\r\n") + "\r\n";
+  }
+
+  escapeCSV(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Read a job file written by toJSON()
+   */
+  parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error("Layout file is not valid JSON");
+    }
+
+    if (!data || !Array.isArray(data.placements)) {
+      throw new Error("Layout file has no placements");
+    }
+    if (data.version > LAYOUT_FILE_VERSION) {
+      throw new Error(`Layout file version ${data.version} is newer than this plugin supports`);
+    }
+
+    const isNumber = (value) => typeof value === "number" && isFinite(value);
+    data.placements.forEach((p, index) => {
+      if (!p || !["x", "y", "width", "height"].every(key => isNumber(p[key]))) {
+        throw new Error(`Placement ${index + 1} is missing its position or size`);
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Match a job file's placements to collected items, by uuid then by name
+   * Extra copies of a design follow their design's item; LayoutApplier gives
+   * them items of their own.
+   * @param {Object} data - Parsed job file
+   * @param {Array} images - Collected image data
+   * @returns {Object} - {placements, problems}; problems are {line, file, message}
+   */
+  matchPlacements(data, images) {
+    const byId = new Map(images.map(img => [img.id, img]));
+    const byName = new Map();
+    for (const img of images) {
+      if (!byName.has(img.name)) byName.set(img.name, []);
+      byName.get(img.name).push(img);
+    }
+
+    const matched = new Map(); // Design id in the file → image
+    const used = new Set();
+    const placements = [];
+    const problems = [];
+
+    data.placements.forEach((saved, index) => {
+      const line = index + 1;
+      const sourceId = saved.sourceId || saved.id;
+      let image = matched.get(sourceId);
+
+      if (!image) {
+        image = byId.get(sourceId);
+        if (!image || used.has(image)) {
+          image = (byName.get(saved.name) || []).find(img => !used.has(img));
+        }
+        if (!image) {
+          problems.push({ line, file: saved.name, message: "No matching item in the document" });
+          return;
+        }
+        used.add(image);
+        matched.set(sourceId, image);
+      }
+
+      const bleed = saved.bleed || 0;
+      const rotation = saved.rotation || 0;
+      const scale = saved.scale || 1;
+      const quarterTurn = Math.abs(rotation) % 180 === 90;
+      const width = (quarterTurn ? image.height : image.width) * scale;
+      const height = (quarterTurn ? image.width : image.height) * scale;
+      if (rotation % 90 === 0 && (Math.abs(width - saved.width) > 0.5 || Math.abs(height - saved.height) > 0.5)) {
+        problems.push({ line, file: saved.name, message: "Item size differs from the saved layout" });
+      }
+
+      placements.push({
+        id: saved.id,
+        x: saved.x,
+        y: saved.y,
+        width: saved.width,
+        height: saved.height,
+        rotation,
+        rotated: quarterTurn,
+        scale,
+        sheetIndex: saved.sheetIndex || 0,
+        bleed,
+        originalItem: image.originalItem,
+        sourceId: image.id,
+        copyIndex: saved.copyIndex || 0
+      });
+    });
+
+    return { placements, problems };
+  }
+}
+
+export default LayoutFile;
+export { LAYOUT_FILE_VERSION };
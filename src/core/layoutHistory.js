@@ -0,0 +1,90 @@
+/**
+ * Multi-level undo/redo of nesting runs
+ * Each entry is a transaction recorded by LayoutApplier.applyLayout
+ */
+
+class LayoutHistory {
+  constructor(layoutApplier, options = {}) {
+    this.layoutApplier = layoutApplier;
+    this.limit = options.limit || 20;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a new run; this clears the redo stack
+   * Runs that drop off the undo stack are discarded in the document too.
+   */
+  record(transaction) {
+    this.undoStack.push(transaction);
+    if (this.undoStack.length > this.limit) {
+      this.layoutApplier.discardTransaction(this.undoStack.shift());
+    }
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Revert the most recent run
+   * @returns {Object|null} - The reverted transaction
+   */
+  undo() {
+    const transaction = this.undoStack.pop();
+    if (!transaction) return null;
+
+    const complete = this.layoutApplier.revertTransaction(transaction);
+    this.redoStack.push(transaction);
+
+    if (!complete) {
+      throw new Error("Some items could not be restored");
+    }
+    return transaction;
+  }
+
+  /**
+   * Re-apply the most recently undone run
+   * @returns {Object|null} - The re-applied transaction
+   */
+  redo() {
+    const transaction = this.redoStack.pop();
+    if (!transaction) return null;
+
+    try {
+      this.layoutApplier.reapplyTransaction(transaction);
+    } catch (error) {
+      // Rolled back, so it can be redone again later
+      this.redoStack.push(transaction);
+      throw error;
+    }
+
+    this.undoStack.push(transaction);
+    return transaction;
+  }
+
+  /**
+   * Drop one run for good, e.g. before its document is closed
+   * Its hidden originals are discarded, so it can no longer be undone.
+   */
+  discard(transaction) {
+    this.undoStack = this.undoStack.filter(entry => entry !== transaction);
+    this.redoStack = this.redoStack.filter(entry => entry !== transaction);
+    this.layoutApplier.discardTransaction(transaction);
+  }
+
+  clear() {
+    for (const transaction of this.undoStack) {
+      this.layoutApplier.discardTransaction(transaction);
+    }
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+export default LayoutHistory;
@@ -0,0 +1,197 @@
+/**
+ * Registration and crop marks for print-and-cut workflows
+ * Space for the marks is reserved before packing, so nested items never
+ * cover a mark.
+ */
+
+import SheetArtwork from './sheetArtwork.js';
+
+const MARKS_LAYER_NAME = "Registration Marks";
+const REGISTRATION_SWATCH_NAME = "[Registration]";
+
+class MarkGenerator extends SheetArtwork {
+  constructor(options = {}) {
+    super(MARKS_LAYER_NAME, "Marks");
+    this.registration = options.registration !== false; // Corner registration marks
+    this.markSize = options.markSize || 14; // Mark diameter / side
+    this.markOffset = options.markOffset || 10; // Distance from the sheet edge
+    this.markShape = options.markShape || "circle"; // circle, square
+    this.cropMarks = options.cropMarks || false; // Per-item crop marks
+    this.cropLength = options.cropLength || 9;
+    this.cropOffset = options.cropOffset || 3; // Gap between an item and its crop marks
+    this.label = options.label || false; // Sheet label beside the bottom-left mark
+    this.labelWidth = options.labelWidth || 200; // Longest label; longer text is shortened to fit
+  }
+
+  /**
+   * How far crop marks reach out from an item; items need at least this spacing
+   */
+  getCropReach() {
+    return this.cropMarks ? this.cropOffset + this.cropLength : 0;
+  }
+
+  /**
+   * Space taken by marks at the bottom of a sheet
+   */
+  getBottomReach() {
+    return this.registration || this.label ? this.markOffset + this.markSize : 0;
+  }
+
+  /**
+   * Sheet areas the marks occupy, as keep-out regions
+   * Pass a null height for a roll: its bottom edge isn't known until packing
+   * is done, so the caller reserves getBottomReach() as a bottom margin instead.
+   * @returns {Array} - Array of {x, y, width, height} from the sheet's top-left
+   */
+  getReservedRegions(width, height = null) {
+    const regions = [];
+    const size = this.markSize;
+    const near = this.markOffset;
+    const farX = width - this.markOffset - size;
+
+    if (this.registration) {
+      regions.push({ x: near, y: near, width: size, height: size });
+      regions.push({ x: farX, y: near, width: size, height: size });
+    }
+
+    if (height === null) return regions;
+
+    const farY = height - this.markOffset - size;
+    if (this.registration) {
+      regions.push({ x: near, y: farY, width: size, height: size });
+      regions.push({ x: farX, y: farY, width: size, height: size });
+    }
+    if (this.label) {
+      regions.push({ x: this.getLabelX(), y: farY, width: this.getLabelWidth(width), height: size });
+    }
+    return regions;
+  }
+
+  getLabelX() {
+    return this.registration ? this.markOffset * 2 + this.markSize : this.markOffset;
+  }
+
+  /**
+   * Width reserved for the label: labelWidth, or the room between the bottom marks if less
+   */
+  getLabelWidth(sheetWidth) {
+    return Math.max(0, Math.min(this.labelWidth, sheetWidth - this.getLabelX() * 2));
+  }
+
+  /**
+   * Draw one sheet's marks
+   */
+  drawSheet(group, doc, sheet, toDoc) {
+    const [left, top, right, bottom] = sheet.rect;
+    const width = right - left;
+    const height = top - bottom;
+    const color = this.getRegistrationColor(doc);
+
+    if (this.registration) {
+      for (const region of this.getReservedRegions(width, height).slice(0, 4)) {
+        this.drawRegistrationMark(group, ...toDoc(region.x, region.y), color);
+      }
+    }
+
+    if (this.cropMarks) {
+      for (const placement of sheet.placements) {
+        this.drawCropMarks(group, placement, toDoc, color);
+      }
+    }
+
+    if (this.label) {
+      const [labelLeft, labelTop] = toDoc(this.getLabelX(), height - this.markOffset - this.markSize);
+      this.drawLabel(group, labelLeft, labelTop, this.getLabelText(doc, sheet), this.getLabelWidth(width));
+    }
+  }
+
+  drawRegistrationMark(group, left, top, color) {
+    const size = this.markSize;
+    const mark = this.markShape === "square"
+      ? group.pathItems.rectangle(top, left, size, size)
+      : group.pathItems.ellipse(top, left, size, size);
+
+    mark.filled = true;
+    mark.fillColor = color;
+    mark.stroked = false;
+  }
+
+  /**
+   * Two short lines off each corner of an item, in line with its edges
+   */
+  drawCropMarks(group, placement, toDoc, color) {
+    const { x, y, width, height } = placement;
+    const gap = this.cropOffset;
+    const reach = this.cropOffset + this.cropLength;
+
+    for (const [cornerX, dirX] of [[x, -1], [x + width, 1]]) {
+      for (const [cornerY, dirY] of [[y, -1], [y + height, 1]]) {
+        this.drawLine(group, toDoc(cornerX + dirX * gap, cornerY), toDoc(cornerX + dirX * reach, cornerY), color);
+        this.drawLine(group, toDoc(cornerX, cornerY + dirY * gap), toDoc(cornerX, cornerY + dirY * reach), color);
+      }
+    }
+  }
+
+  drawLine(group, from, to, color) {
+    const line = group.pathItems.add();
+    line.setEntirePath([from, to]);
+    line.filled = false;
+    line.stroked = true;
+    line.strokeColor = color;
+    line.strokeWidth = 0.25;
+  }
+
+  /**
+   * Label text, shortened from the end until it fits its reserved width
+   */
+  drawLabel(group, left, top, text, maxWidth) {
+    const label = group.textFrames.add();
+    const setText = (contents) => {
+      label.contents = contents;
+      label.textRange.characterAttributes.size = Math.max(4, Math.min(8, this.markSize * 0.6));
+      label.textRange.characterAttributes.fillColor = this.createBlack();
+    };
+    setText(text);
+
+    let kept = text;
+    while (label.width > maxWidth && kept.length > 1) {
+      const fit = Math.floor(kept.length * maxWidth / label.width) - 1;
+      kept = kept.slice(0, Math.max(1, Math.min(kept.length - 1, fit)));
+      setText(`${kept}…`);
+    }
+
+    label.left = left;
+    label.top = top;
+  }
+
+  getLabelText(doc, sheet) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `${doc.name} | ${sheet.name} | ${sheet.placements.length} items | ${date}`;
+  }
+
+  /**
+   * The Registration swatch's colour, which prints on every separation
+   * Falls back to black for documents without the swatch.
+   */
+  getRegistrationColor(doc) {
+    try {
+      for (let i = 0; i < doc.swatches.length; i++) {
+        if (doc.swatches[i].name === REGISTRATION_SWATCH_NAME) return doc.swatches[i].color;
+      }
+    } catch (error) {
+      console.error("Failed to find the Registration swatch:", error);
+    }
+    return this.createBlack();
+  }
+
+  createBlack() {
+    const color = new RGBColor();
+    color.red = 0;
+    color.green = 0;
+    color.blue = 0;
+    return color;
+  }
+}
+
+export default MarkGenerator;
+export { MARKS_LAYER_NAME, REGISTRATION_SWATCH_NAME };
@@ -0,0 +1,142 @@
+/**
+ * Media library: standard and custom sheet and roll sizes, with their cost
+ * Nesting can target a media instead of the artboard. Custom entries live in
+ * local storage; an entry named like a standard one replaces it, e.g. to give
+ * SRA3 the shop's price.
+ */
+
+import { LengthUnits } from '../utils/units.js';
+
+const STORAGE_KEY = "autoNestMedia";
+
+const POINTS_PER_METRE = 72 / 0.0254;
+
+/**
+ * Built-in media; sizes in points, rolls have no height
+ */
+const StandardMedia = [
+  { name: "SRA3", type: "sheet", width: 320 * LengthUnits.mm, height: 450 * LengthUnits.mm },
+  { name: "A3+", type: "sheet", width: 329 * LengthUnits.mm, height: 483 * LengthUnits.mm },
+  { name: "13×19\"", type: "sheet", width: 13 * LengthUnits.in, height: 19 * LengthUnits.in },
+  { name: "24\" roll", type: "roll", width: 24 * LengthUnits.in, height: null },
+  { name: "54\" roll", type: "roll", width: 54 * LengthUnits.in, height: null },
+  { name: "64\" roll", type: "roll", width: 64 * LengthUnits.in, height: null }
+];
+
+class MediaLibrary {
+  constructor() {
+    this.custom = [];
+  }
+
+  /**
+   * Load custom media from local storage
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      const entries = saved ? JSON.parse(saved) : [];
+      this.custom = Array.isArray(entries) ? entries.filter(entry => this.isValid(entry)) : [];
+    } catch (error) {
+      console.error("Failed to load media:", error);
+      this.custom = [];
+    }
+    return this.custom;
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.custom));
+    } catch (error) {
+      console.error("Failed to save media:", error);
+    }
+  }
+
+  /**
+   * Standard media (or their custom replacements) first, then custom media by name
+   * @returns {Array} - Array of {name, type, width, height, cost, custom}
+   */
+  getAll() {
+    const customByName = new Map(this.custom.map(entry => [entry.name, entry]));
+    const standard = StandardMedia.map(entry => customByName.has(entry.name)
+      ? { ...customByName.get(entry.name), custom: true }
+      : { ...entry, cost: 0, custom: false });
+    const added = this.custom
+      .filter(entry => !StandardMedia.some(s => s.name === entry.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => ({ ...entry, custom: true }));
+
+    return [...standard, ...added];
+  }
+
+  get(name) {
+    return this.getAll().find(entry => entry.name === name) || null;
+  }
+
+  /**
+   * Add or replace a custom media
+   * @param {Object} entry - {name, type: sheet | roll, width, height, cost}; cost is
+   *   per sheet, or per metre of roll
+   */
+  save(entry) {
+    const media = {
+      name: String(entry.name || "").trim(),
+      type: entry.type === "roll" ? "roll" : "sheet",
+      width: entry.width,
+      height: entry.type === "roll" ? null : entry.height,
+      cost: entry.cost || 0
+    };
+
+    if (!media.name) {
+      throw new Error("Media name cannot be empty");
+    }
+    if (!this.isValid(media)) {
+      throw new Error(media.type === "roll"
+        ? "Roll media need a width and a cost of 0 or more"
+        : "Sheet media need a width, a height and a cost of 0 or more");
+    }
+
+    this.custom = this.custom.filter(existing => existing.name !== media.name);
+    this.custom.push(media);
+    this.persist();
+    return media;
+  }
+
+  /**
+   * Remove a custom media; a replaced standard media goes back to its defaults
+   */
+  delete(name) {
+    if (!this.custom.some(entry => entry.name === name)) {
+      throw new Error(`"${name}" is not a custom media`);
+    }
+    this.custom = this.custom.filter(entry => entry.name !== name);
+    this.persist();
+  }
+
+  isValid(entry) {
+    const isLength = (value) => typeof value === "number" && isFinite(value) && value > 0;
+    return !!entry && typeof entry.name === "string" && entry.name.trim() !== "" &&
+      isLength(entry.width) &&
+      (entry.type === "roll" || isLength(entry.height)) &&
+      typeof entry.cost === "number" && isFinite(entry.cost) && entry.cost >= 0;
+  }
+
+  /**
+   * Material cost of a result: sheets used, or metres of roll
+   * @param {Object} media - Library entry
+   * @param {Object} usage - {sheets, rollLength}; rollLength in points
+   * @returns {number|null} - Cost, or null when the media has no cost
+   */
+  estimateCost(media, usage) {
+    if (!media || !media.cost) return null;
+
+    if (media.type === "roll") {
+      return usage.rollLength !== null && usage.rollLength !== undefined
+        ? usage.rollLength / POINTS_PER_METRE * media.cost
+        : null;
+    }
+    return (usage.sheets || 0) * media.cost;
+  }
+}
+
+export default MediaLibrary;
+export { StandardMedia };
@@ -1,90 +1,747 @@
 /**
- * Core nesting engine using guillotine bin-packing algorithm
+ * Core nesting engine using guillotine or MaxRects bin-packing algorithms
  * Optimized for rectangular items with optional rotation
  */
 
+import { MaxRectsPacker, MaxRectsHeuristic, RasterShapePacker, clipRect } from './binPacker.js';
+import { rotatedSize, translatePoints, scalePoints } from '../utils/geometry.js';
+import { runChunked, runSync } from '../utils/performance.js';
+
+/**
+ * Item orderings tried by the optimizer (all largest first)
+ */
+const ItemOrderings = {
+  area: (a, b) => (b.width * b.height) - (a.width * a.height),
+  height: (a, b) => b.height - a.height,
+  width: (a, b) => b.width - a.width,
+  perimeter: (a, b) => (b.width + b.height) - (a.width + a.height),
+  maxSide: (a, b) => Math.max(b.width, b.height) - Math.max(a.width, a.height)
+};
+
 class NestingEngine {
   constructor(options = {}) {
-    this.spacing = options.spacing || 10;
+    this.options = options;
+    this.spacing = options.spacing !== undefined ? options.spacing : 10; // Zero is allowed: items may touch
     this.allowRotation = options.allowRotation || false;
+    this.rotationAngles = options.rotationAngles || [0, 90]; // Tried when rotation is allowed
     this.targetWidth = options.targetWidth || 1000;
     this.targetHeight = options.targetHeight || 1000;
+    this.algorithm = options.algorithm || "guillotine"; // guillotine, maxrects
+    this.heuristic = options.heuristic || MaxRectsHeuristic.BEST_SHORT_SIDE_FIT;
+    this.binMode = options.binMode || "expand"; // expand, multiSheet, roll
+    this.shapeMode = options.shapeMode || "rectangle"; // rectangle, outline
+    this.shapeResolution = options.shapeResolution || 0; // Grid cell size for outlines, 0 = auto
+    this.margins = { top: 0, right: 0, bottom: 0, left: 0, ...options.margins }; // Unprintable edges, gripper included
+    this.keepOutRegions = options.keepOutRegions || []; // {x, y, width, height} from the sheet's top-left
+    this.pinnedRegions = options.pinnedRegions || []; // Pinned items, kept clear on the first sheet only
+    this.maxSheets = options.maxSheets || 0; // Multi-sheet limit, 0 = unlimited; lowest priority is left out
+
+    // Results of the last run
+    this.sheetCount = 0;
+    this.unplacedItems = [];
+    this.usedLength = 0;
   }
 
   /**
    * Main nesting function
-   * @param {Array} items - Array of {id, width, height, originalItem}
-   * @returns {Array} - Array of {id, x, y, width, height, rotated}
+   * Items with a bleed are packed at their bleed size; placements are
+   * reported at the cut size, with the bleed around them. Items with a
+   * quantity are packed that many times; items sharing a cluster key are
+   * packed side by side as one block. Higher priorities are packed first.
+   * @param {Array} items - Array of {id, width, height, originalItem, outline?, rotationLocked?, rotationAllowed?, orientation?, bleed?, quantity?, cluster?, priority?, scale?}
+   * @returns {Array} - Array of {id, x, y, width, height, rotation, rotated, sheetIndex, bleed, sourceId, copyIndex, scale}
    */
   nest(items) {
-    if (!items || items.length === 0) return [];
+    return this.expandClusters(runSync(this.nestSteps(this.prepareItems(items))));
+  }
 
-    // Sort items by area (largest first) for better packing
-    const sortedItems = [...items].sort((a, b) => 
-      (b.width * b.height) - (a.width * a.height)
-    );
+  /**
+   * Nest items in exactly the given order
+   */
+  nestOrdered(sortedItems) {
+    return runSync(this.nestSteps(sortedItems));
+  }
+
+  /**
+   * Same as nest(), but in time slices so the panel stays responsive
+   * @param {Array} items - Same as nest()
+   * @param {Object} options - {token, onProgress}; rejects with CancelledError when cancelled
+   * @returns {Promise<Array>} - Placements
+   */
+  nestAsync(items, options = {}) {
+    return runChunked(this.nestSteps(this.prepareItems(items)), options)
+      .then(placements => this.expandClusters(placements));
+  }
+
+  /**
+   * Search many item orderings and keep the best layout
+   * Tries the fixed orderings first, then mutates the best order found
+   * until the time or iteration budget runs out.
+   * @param {Array} items - Same as nest()
+   * @param {Object} options - {timeLimit (ms), maxIterations, token, onProgress}
+   * @returns {Promise<Array>} - Best placements found
+   */
+  optimize(items, options = {}) {
+    const {
+      timeLimit = 5000,
+      maxIterations = 500,
+      token = null,
+      onProgress = null
+    } = options;
+
+    const prepared = this.buildClusters(this.expandQuantities(items));
+    return runChunked(this.optimizeSteps(prepared, timeLimit, maxIterations), { token, onProgress })
+      .then(placements => this.expandClusters(placements));
+  }
+
+  /**
+   * Find the largest uniform scale at which every item fits on one sheet
+   * The scale is binary-searched between minScale and maxScale, capped by each
+   * item's own maxScale (e.g. from its effective PPI). Run with maxSheets 1 in
+   * multiSheet mode; the layout at the best scale found is returned.
+   * @param {Array} items - Same as nest(), optionally with maxScale
+   * @param {Object} options - {minScale, maxScale, precision, token, onProgress}
+   * @returns {Promise<Object>} - {scale, fits, placements}
+   */
+  fitScale(items, options = {}) {
+    const {
+      minScale = 0.1,
+      maxScale = 4,
+      precision = 0.005,
+      token = null,
+      onProgress = null
+    } = options;
+
+    return runChunked(this.fitScaleSteps(items, minScale, maxScale, precision), { token, onProgress });
+  }
 
-    // Initialize the bin packer
-    const packer = new GuillouinePacker(
-      this.targetWidth, 
-      this.targetHeight,
-      this.spacing
+  /**
+   * Binary search for fitScale()
+   * Yields {phase: "fitting", scale, progress}
+   */
+  *fitScaleSteps(items, minScale, maxScale, precision) {
+    const itemCap = Math.min(...items.map(item => item.maxScale || Infinity));
+    const usableArea = (this.targetWidth - this.margins.left - this.margins.right) *
+      (this.targetHeight - this.margins.top - this.margins.bottom);
+    const itemArea = items.reduce((sum, item) => sum + item.width * item.height * Math.max(1, item.quantity || 1), 0);
+
+    // The items' area can't exceed the sheet's, whatever the packing
+    const areaCap = itemArea > 0 ? Math.sqrt(Math.max(0, usableArea) / itemArea) : Infinity;
+    let low = Math.min(minScale, maxScale, itemCap);
+    let high = Math.max(low, Math.min(maxScale, itemCap, areaCap));
+
+    let latest = null;
+    const attempt = (scale) => {
+      const placements = this.nest(items.map(item => NestingEngine.scaleItem(item, scale)));
+      latest = { scale, placements, fits: this.unplacedItems.length === 0 };
+      return latest;
+    };
+
+    let best = attempt(low);
+    if (best.fits) {
+      const steps = Math.ceil(Math.log2(Math.max(1, (high - low) / precision)));
+      for (let step = 0; step < steps && high - low > precision; step++) {
+        yield { phase: "fitting", scale: best.scale, progress: step / steps };
+
+        const result = attempt((low + high) / 2);
+        if (result.fits) {
+          best = result;
+          low = result.scale;
+        } else {
+          high = result.scale;
+        }
+      }
+
+      // The upper bound often fits outright when a cap, not the sheet, decides
+      if (high > best.scale) {
+        const result = attempt(high);
+        if (result.fits) best = result;
+      }
+    }
+
+    // Leave the engine's results (unplaced items, sheet count) describing the returned layout
+    if (latest !== best) attempt(best.scale);
+    return best;
+  }
+
+  /**
+   * Copy of an item at a scale, with its outline scaled to match
+   * Scales multiply, so a normalized item keeps its total scale.
+   */
+  static scaleItem(item, scale) {
+    return {
+      ...item,
+      width: item.width * scale,
+      height: item.height * scale,
+      outline: item.outline ? item.outline.map(ring => scalePoints(ring, scale)) : item.outline,
+      scale: (item.scale || 1) * scale,
+      maxScale: item.maxScale ? item.maxScale / scale : item.maxScale
+    };
+  }
+
+  /**
+   * Expand quantities, pack clusters into blocks, and sort largest first
+   */
+  prepareItems(items) {
+    return this.sortItems(this.buildClusters(this.expandQuantities(items)));
+  }
+
+  /**
+   * One item per copy of each design
+   * Copy 0 is the design's own item; the others get ids of the form "id#2".
+   */
+  expandQuantities(items) {
+    const expanded = [];
+    for (const item of items || []) {
+      const quantity = Math.max(1, Math.floor(item.quantity || 1));
+      for (let copyIndex = 0; copyIndex < quantity; copyIndex++) {
+        expanded.push({
+          ...item,
+          id: copyIndex === 0 ? item.id : `${item.id}#${copyIndex + 1}`,
+          sourceId: item.id,
+          copyIndex
+        });
+      }
+    }
+    return expanded;
+  }
+
+  /**
+   * Replace each cluster of items by one block item
+   * Copies cluster by copy number, so ten copies of a two-part kit make ten
+   * blocks of two. Blocks are packed at their packed orientation only.
+   */
+  buildClusters(items) {
+    const clusters = new Map();
+    const result = [];
+
+    for (const item of items) {
+      if (!item.cluster) {
+        result.push(item);
+        continue;
+      }
+      const key = `${item.cluster}#${item.copyIndex || 0}`;
+      if (!clusters.has(key)) clusters.set(key, []);
+      clusters.get(key).push(item);
+    }
+
+    for (const [key, members] of clusters) {
+      const block = members.length > 1 ? this.packCluster(key, members) : null;
+      result.push(...(block ? [block] : members));
+    }
+    return result;
+  }
+
+  /**
+   * Pack a cluster's members into the most compact block that fits the sheet width
+   * @returns {Object|null} - Block item, or null if the members can't share a block
+   */
+  packCluster(key, members) {
+    const usableWidth = this.targetWidth - this.margins.left - this.margins.right;
+    const sorted = this.sortItems(members);
+    const area = members.reduce(
+      (sum, m) => sum + (m.width + (m.bleed || 0) * 2 + this.spacing) * (m.height + (m.bleed || 0) * 2 + this.spacing), 0
     );
+    const length = members.reduce((sum, m) => sum + Math.hypot(m.width, m.height) + (m.bleed || 0) * 2 + this.spacing, 0);
+
+    let best = null;
+    // Near-square blocks first; the full sheet width always fits if anything does
+    for (const factor of [1, 1.25, 1.5, 2, 3, Infinity]) {
+      const width = Math.min(usableWidth, Math.sqrt(area) * factor);
+      const packer = new MaxRectsPacker(width, length, this.spacing, this.heuristic);
+      const placements = sorted.map(member => this.insertItem(packer, member, 0));
+      if (placements.some(p => !p)) continue;
+
+      const right = Math.max(...placements.map(p => p.x + p.width + p.bleed));
+      const bottom = Math.max(...placements.map(p => p.y + p.height + p.bleed));
+      if (!best || right * bottom < best.width * best.height) {
+        best = { width: right, height: bottom, placements };
+      }
+    }
+    if (!best) return null;
+
+    return {
+      id: `cluster:${key}`,
+      width: best.width,
+      height: best.height,
+      priority: Math.max(...members.map(m => m.priority || 0)),
+      rotationLocked: true,
+      members: best.placements,
+      memberItems: members
+    };
+  }
+
+  /**
+   * Turn placed blocks back into their members' placements
+   * Unplaced blocks are reported as their member items.
+   */
+  expandClusters(placements) {
+    this.unplacedItems = this.unplacedItems.flatMap(item => item.memberItems || [item]);
+
+    return placements.flatMap(placement => placement.members
+      ? placement.members.map(member => ({
+        ...member,
+        x: placement.x + member.x,
+        y: placement.y + member.y,
+        sheetIndex: placement.sheetIndex
+      }))
+      : [placement]);
+  }
+
+  sortItems(items) {
+    // Sort items by area (largest first) for better packing, within each priority
+    return [...(items || [])].sort(this.byPriority(ItemOrderings.area));
+  }
+
+  /**
+   * Order higher-priority items first, then by the given comparison
+   */
+  byPriority(compare) {
+    return (a, b) => (b.priority || 0) - (a.priority || 0) || compare(a, b);
+  }
+
+  /**
+   * Nesting as a step generator
+   * Yields {phase: "packing", placed, total, progress} and returns the placements
+   */
+  *nestSteps(sortedItems) {
+    this.sheetCount = 0;
+    this.unplacedItems = [];
+    this.usedLength = 0;
+
+    if (sortedItems.length === 0) return [];
+
+    if (this.binMode === "multiSheet") {
+      return yield* this.nestMultiSheet(sortedItems);
+    }
+
+    if (this.binMode === "roll") {
+      return yield* this.nestRoll(sortedItems);
+    }
+
+    let binWidth = this.targetWidth;
+    let binHeight = this.targetHeight;
+
+    while (true) {
+      const packer = this.createPacker(binWidth, binHeight);
+      const { placements, unplacedItems } = yield* this.packItems(packer, sortedItems);
+
+      // If items didn't fit, expand and retry
+      if (unplacedItems.length > 0 && placements.length > 0) {
+        const bounds = this.calculateBounds(placements);
+        const expandedWidth = Math.max(binWidth, bounds.maxX + 100);
+        const expandedHeight = Math.max(binHeight, bounds.maxY + 100);
+
+        // A layout already inside the bin wouldn't grow it, so force growth
+        const grew = expandedWidth > binWidth || expandedHeight > binHeight;
+        binWidth = grew ? expandedWidth : binWidth + 100;
+        binHeight = grew ? expandedHeight : binHeight + 100;
+        continue;
+      }
+
+      this.sheetCount = placements.length > 0 ? 1 : 0;
+      this.unplacedItems = unplacedItems;
+      return placements;
+    }
+  }
+
+  /**
+   * Optimization as a step generator
+   * Yields {phase: "optimizing", iteration, improved, placements, progress} after each pass
+   */
+  *optimizeSteps(items, timeLimit, maxIterations) {
+    if (items.length === 0) return yield* this.nestSteps([]);
+
+    const startTime = Date.now();
+    let best = null;
+    let iteration = 0;
+
+    const fixedOrders = Object.values(ItemOrderings).map(compare => [...items].sort(this.byPriority(compare)));
+
+    while (iteration < maxIterations && (iteration === 0 || Date.now() - startTime < timeLimit)) {
+      const order = iteration < fixedOrders.length
+        ? fixedOrders[iteration]
+        : this.mutateOrder(best.order);
+
+      const placements = yield* this.nestSteps(order);
+      const result = {
+        order,
+        placements,
+        score: this.scoreLayout(placements),
+        sheetCount: this.sheetCount,
+        unplacedItems: this.unplacedItems,
+        usedLength: this.usedLength
+      };
+
+      // Accepting ties lets the search drift across plateaus
+      const improved = !best || this.compareScores(result.score, best.score) < 0;
+      if (improved || this.compareScores(result.score, best.score) === 0) {
+        best = result;
+      }
+
+      iteration++;
+      const elapsed = Date.now() - startTime;
+
+      yield {
+        phase: "optimizing",
+        iteration,
+        elapsed,
+        improved,
+        placements: best.placements,
+        progress: Math.min(1, Math.max(iteration / maxIterations, elapsed / timeLimit))
+      };
+    }
+
+    this.sheetCount = best.sheetCount;
+    this.unplacedItems = best.unplacedItems;
+    this.usedLength = best.usedLength;
+    return best.placements;
+  }
+
+  /**
+   * Swap a few random items, or move a random block, in an ordering
+   */
+  mutateOrder(order) {
+    const mutated = [...order];
+    if (mutated.length < 2) return mutated;
+
+    const randomIndex = () => Math.floor(Math.random() * mutated.length);
+
+    if (Math.random() < 0.5) {
+      const swaps = 1 + Math.floor(Math.random() * 3);
+      for (let i = 0; i < swaps; i++) {
+        const a = randomIndex();
+        const b = randomIndex();
+        [mutated[a], mutated[b]] = [mutated[b], mutated[a]];
+      }
+    } else {
+      const start = randomIndex();
+      const length = 1 + Math.floor(Math.random() * Math.min(5, mutated.length - start));
+      const block = mutated.splice(start, length);
+      mutated.splice(randomIndex() % (mutated.length + 1), 0, ...block);
+    }
+
+    // Mutations only reorder within a priority (the sort is stable)
+    return mutated.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  /**
+   * Score the last run's layout; compared lexicographically, lower is better
+   * Fewest unplaced items first, then fewest sheets, shortest roll
+   * or smallest bounding area depending on the bin mode
+   */
+  scoreLayout(placements) {
+    // Leaving out a high-priority item is worse than leaving out any number of lower ones
+    const unplaced = this.unplacedItems.length;
+    const leftOut = unplaced > 0 ? Math.max(...this.unplacedItems.map(item => item.priority || 0)) : -Infinity;
+
+    if (this.binMode === "multiSheet") {
+      // Among equal sheet counts prefer an emptier last sheet
+      const usage = this.calculateSheetUsage(placements);
+      const lastSheetArea = usage.length > 0 ? usage[usage.length - 1].usedArea : 0;
+      return [leftOut, unplaced, this.sheetCount, lastSheetArea];
+    }
+
+    const bounds = this.calculateBounds(placements);
+
+    if (this.binMode === "roll") {
+      return [leftOut, unplaced, this.usedLength, bounds.maxX];
+    }
+
+    return [leftOut, unplaced, bounds.maxX * bounds.maxY];
+  }
 
+  compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Pack items into a single bin in the given order
+   * @returns {Object} - {placements, unplacedItems}
+   */
+  *packItems(packer, sortedItems) {
     const placements = [];
     const unplacedItems = [];
 
     // Attempt to place each item
+    for (const item of sortedItems) {
+      const placement = this.insertItem(packer, item, 0);
+
+      if (placement) {
+        placements.push(placement);
+      } else {
+        unplacedItems.push(item);
+      }
+
+      yield this.packingProgress(placements.length + unplacedItems.length, sortedItems.length);
+    }
+
+    return { placements, unplacedItems };
+  }
+
+  /**
+   * Insert an item at its bleed size and report the placement at its cut size
+   * The packer picks the best of the item's allowed angles.
+   * @returns {Object|null} - Placement, or null if the item doesn't fit
+   */
+  insertItem(packer, item, sheetIndex) {
+    const bleed = item.bleed || 0;
+    const outline = bleed > 0 && item.outline
+      ? item.outline.map(ring => translatePoints(ring, bleed, bleed))
+      : item.outline;
+
+    const placement = packer.insert(
+      item.width + bleed * 2, item.height + bleed * 2, item.id, this.getItemAngles(item), outline
+    );
+    if (!placement) return null;
+
+    // The cut box shares the bleed box's centre
+    const cut = rotatedSize(item.width, item.height, placement.rotation || 0);
+
+    return {
+      ...placement,
+      x: placement.x + (placement.width - cut.width) / 2,
+      y: placement.y + (placement.height - cut.height) / 2,
+      width: cut.width,
+      height: cut.height,
+      bleed,
+      originalItem: item.originalItem,
+      sourceId: item.sourceId || item.id,
+      copyIndex: item.copyIndex || 0,
+      scale: item.scale || 1,
+      ...(item.members ? { members: item.members } : {}),
+      rotation: placement.rotation || 0,
+      rotated: placement.rotated || false,
+      sheetIndex
+    };
+  }
+
+  packingProgress(placed, total) {
+    return { phase: "packing", placed, total, progress: total > 0 ? placed / total : 1 };
+  }
+
+  /**
+   * Strip packing for roll media: width is fixed, length is minimized
+   * With MaxRects every heuristic is tried and the shortest layout wins; the
+   * guillotine packer fills top-down, as best fit would stack one column.
+   */
+  *nestRoll(sortedItems) {
+    // Upper bound on the length: every item stacked on its diagonal below the reserved space
+    const reserved = this.getObstacles(this.targetWidth, 0).reduce(
+      (max, obstacle) => Math.max(max, obstacle.y + obstacle.height), 0
+    );
+    const maxLength = sortedItems.reduce(
+      (sum, item) => sum + Math.hypot(item.width, item.height) + this.spacing, reserved
+    );
+
+    let heuristics = [this.heuristic];
+    if (this.shapeMode !== "outline") {
+      heuristics = this.algorithm === "maxrects"
+        ? [this.heuristic, ...Object.values(MaxRectsHeuristic).filter(h => h !== this.heuristic)]
+        : [MaxRectsHeuristic.BOTTOM_LEFT];
+    }
+
+    let best = null;
+    for (const heuristic of heuristics) {
+      const result = yield* this.packStrip(sortedItems, maxLength, heuristic);
+      const length = this.calculateBounds(result.placements).maxY;
+
+      // Placing more items beats a shorter roll
+      if (!best ||
+          result.placements.length > best.placements.length ||
+          (result.placements.length === best.placements.length && length < best.length)) {
+        best = { ...result, length };
+      }
+    }
+
+    this.sheetCount = best.placements.length > 0 ? 1 : 0;
+    this.unplacedItems = best.unplacedItems;
+    this.usedLength = best.length + this.margins.bottom;
+    return best.placements;
+  }
+
+  /**
+   * Pack items down a strip of fixed width
+   * Items a packer strands (e.g. guillotine splits) continue below the used length
+   */
+  *packStrip(sortedItems, maxLength, heuristic) {
+    const placements = [];
+    let remaining = sortedItems;
+    let offsetY = 0;
+
+    while (remaining.length > 0) {
+      const packer = this.createPacker(this.targetWidth, maxLength, heuristic, offsetY);
+      const result = yield* this.packItems(packer, remaining);
+
+      // Nothing placed means the rest is wider than the roll
+      if (result.placements.length === 0) break;
+
+      for (const placement of result.placements) {
+        placement.y += offsetY;
+        placements.push(placement);
+      }
+
+      offsetY = this.calculateBounds(placements).maxY + this.spacing;
+      remaining = result.unplacedItems;
+    }
+
+    return { placements, unplacedItems: remaining };
+  }
+
+  /**
+   * Fill fixed-size sheets one after another (first fit)
+   * Items larger than an empty sheet are left in unplacedItems
+   */
+  *nestMultiSheet(sortedItems) {
+    // The first sheet holds the pinned items, so it's open even if nothing else fits it
+    const packers = this.pinnedRegions.length > 0
+      ? [this.createPacker(this.targetWidth, this.targetHeight, this.heuristic, 0, 0)]
+      : [];
+    const placements = [];
+
     for (const item of sortedItems) {
       let placement = null;
+      let sheetIndex = 0;
 
-      // Try placing without rotation
-      placement = packer.insert(item.width, item.height, item.id);
+      // Try every open sheet before starting a new one
+      for (; sheetIndex < packers.length; sheetIndex++) {
+        placement = this.insertItem(packers[sheetIndex], item, sheetIndex);
+        if (placement) break;
+      }
 
-      // If failed and rotation is allowed, try rotated
-      if (!placement && this.allowRotation && item.width !== item.height) {
-        placement = packer.insert(item.height, item.width, item.id);
-        if (placement) {
-          placement.rotated = true;
-        }
+      if (!placement && (this.maxSheets === 0 || packers.length < this.maxSheets)) {
+        const packer = this.createPacker(this.targetWidth, this.targetHeight, this.heuristic, 0, packers.length);
+        placement = this.insertItem(packer, item, packers.length);
+        if (placement) packers.push(packer);
       }
 
       if (placement) {
-        placements.push({
-          ...placement,
-          originalItem: item.originalItem,
-          rotated: placement.rotated || false
-        });
+        placements.push(placement);
       } else {
-        unplacedItems.push(item);
+        this.unplacedItems.push(item);
       }
-    }
 
-    // If items didn't fit, expand and retry recursively
-    if (unplacedItems.length > 0 && placements.length > 0) {
-      const bounds = this.calculateBounds(placements);
-      const expandedWidth = Math.max(this.targetWidth, bounds.maxX + 100);
-      const expandedHeight = Math.max(this.targetHeight, bounds.maxY + 100);
-      
-      // Create new engine with expanded dimensions
-      const expandedEngine = new NestingEngine({
-        spacing: this.spacing,
-        allowRotation: this.allowRotation,
-        targetWidth: expandedWidth,
-        targetHeight: expandedHeight
-      });
-      
-      return expandedEngine.nest(items);
+      yield this.packingProgress(placements.length + this.unplacedItems.length, sortedItems.length);
     }
 
+    this.sheetCount = packers.length;
     return placements;
   }
 
+  /**
+   * Per-sheet usage of a multi-sheet layout
+   * @returns {Array} - Array of {index, count, usedArea, fill}
+   */
+  calculateSheetUsage(placements) {
+    const sheetArea = this.targetWidth * this.targetHeight;
+    const sheets = [];
+
+    for (const p of placements) {
+      const index = p.sheetIndex || 0;
+      if (!sheets[index]) {
+        sheets[index] = { index, count: 0, usedArea: 0 };
+      }
+      sheets[index].count++;
+      sheets[index].usedArea += p.width * p.height;
+    }
+
+    return sheets.filter(Boolean).map(sheet => ({
+      ...sheet,
+      fill: sheetArea > 0 ? Math.round((sheet.usedArea / sheetArea) * 100) : 0
+    }));
+  }
+
+  /**
+   * Rotations to try for an item, unrotated first
+   * Items can opt out of rotation with rotationLocked or orientation "locked",
+   * or opt in with rotationAllowed when rotation is off; orientation "180"
+   * allows half turns only, e.g. for directional media.
+   */
+  getItemAngles(item) {
+    const allowed = this.allowRotation || item.rotationAllowed;
+    if (!allowed || item.rotationLocked || item.orientation === "locked") return [0];
+    if (item.orientation === "180") return [0, 180];
+
+    const angles = [0];
+    for (const angle of this.rotationAngles) {
+      const normalized = ((angle % 360) + 360) % 360;
+      if (!angles.includes(normalized)) angles.push(normalized);
+    }
+    return angles;
+  }
+
+  /**
+   * Create a packer for the configured algorithm, with reserved space occupied
+   * @param {number} offsetY - How far down the roll the bin starts, below earlier strips
+   */
+  createPacker(width, height, heuristic = this.heuristic, offsetY = 0, sheetIndex = 0) {
+    let packer;
+    if (this.shapeMode === "outline") {
+      packer = new RasterShapePacker(width, height, this.spacing, this.getCellSize());
+    } else if (this.algorithm === "maxrects") {
+      packer = new MaxRectsPacker(width, height, this.spacing, heuristic);
+    } else {
+      packer = new GuillouinePacker(width, height, this.spacing, heuristic);
+    }
+
+    for (const obstacle of this.getObstacles(width, height, offsetY, sheetIndex)) {
+      packer.addObstacle(obstacle, obstacle.padded);
+    }
+    return packer;
+  }
+
+  /**
+   * Space that must stay empty on a bin: margins, keep-out regions and pinned items
+   * Margins are unpadded so items can sit right on the margin line. A roll
+   * has no bottom edge, and strips continuing it keep no top margin; their
+   * keep-out regions and pinned items are moved up by the strip's offset.
+   * Pinned items only sit on the first sheet.
+   * @param {number} offsetY - How far down the roll the bin starts
+   * @returns {Array} - Array of {x, y, width, height, padded}
+   */
+  getObstacles(width, height, offsetY = 0, sheetIndex = 0) {
+    const { top, right, bottom, left } = this.margins;
+    const obstacles = [];
+
+    if (left > 0) obstacles.push({ x: 0, y: 0, width: left, height, padded: false });
+    if (right > 0) obstacles.push({ x: width - right, y: 0, width: right, height, padded: false });
+    if (top > 0 && offsetY === 0) obstacles.push({ x: 0, y: 0, width, height: top, padded: false });
+    if (bottom > 0 && this.binMode !== "roll") {
+      obstacles.push({ x: 0, y: height - bottom, width, height: bottom, padded: false });
+    }
+
+    const regions = sheetIndex === 0 ? [...this.keepOutRegions, ...this.pinnedRegions] : this.keepOutRegions;
+    for (const region of regions) {
+      // Regions wholly above a continuing strip are behind it already
+      const y = Math.max(0, region.y - offsetY);
+      const regionBottom = region.y + region.height - offsetY;
+      if (regionBottom <= 0) continue;
+      obstacles.push({ x: region.x, y, width: region.width, height: regionBottom - y, padded: true });
+    }
+    return obstacles;
+  }
+
+  /**
+   * Grid cell size for outline packing
+   * Auto keeps the grid around 400 cells across the target sheet
+   */
+  getCellSize() {
+    if (this.shapeResolution > 0) return this.shapeResolution;
+    return Math.max(0.5, Math.max(this.targetWidth, this.targetHeight) / 400);
+  }
+
+  /**
+   * Far edges of a layout, bleed included
+   */
   calculateBounds(placements) {
     let maxX = 0, maxY = 0;
     for (const p of placements) {
-      maxX = Math.max(maxX, p.x + p.width);
-      maxY = Math.max(maxY, p.y + p.height);
+      const bleed = p.bleed || 0;
+      maxX = Math.max(maxX, p.x + p.width + bleed);
+      maxY = Math.max(maxY, p.y + p.height + bleed);
     }
     return { maxX, maxY };
   }
@@ -92,25 +749,79 @@ class NestingEngine {
 
 /**
  * Guillotine bin packing algorithm
- * Efficient for rectangular items
+ * Efficient for rectangular items; uses best short side fit, or the
+ * topmost then leftmost position with the bottom-left heuristic
  */
 class GuillouinePacker {
-  constructor(width, height, spacing = 0) {
+  constructor(width, height, spacing = 0, heuristic = MaxRectsHeuristic.BEST_SHORT_SIDE_FIT) {
     this.binWidth = width;
     this.binHeight = height;
     this.spacing = spacing;
+    this.topDown = heuristic === MaxRectsHeuristic.BOTTOM_LEFT;
     this.freeRectangles = [{ x: 0, y: 0, width, height }];
   }
 
-  insert(width, height, id) {
+  /**
+   * Insert using the first angle whose rotated bounding box fits
+   */
+  insert(width, height, id, angles = [0]) {
+    for (const angle of angles) {
+      const size = rotatedSize(width, height, angle);
+      const placement = this.insertRect(size.width, size.height, id);
+      if (placement) {
+        placement.rotation = angle;
+        placement.rotated = angle !== 0;
+        return placement;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mark a rectangle as occupied before packing (margins, keep-out regions)
+   * Free rectangles it overlaps are cut into disjoint pieces around it.
+   * @param {Object} rect - {x, y, width, height} in bin coordinates
+   * @param {boolean} padded - Keep items a spacing away from its right and bottom edges too
+   */
+  addObstacle(rect, padded = true) {
+    const pad = padded ? this.spacing : 0;
+    const used = clipRect({ ...rect, width: rect.width + pad, height: rect.height + pad }, this.binWidth, this.binHeight);
+    if (!used) return;
+
+    const remaining = [];
+    for (const free of this.freeRectangles) {
+      const overlapLeft = Math.max(free.x, used.x);
+      const overlapRight = Math.min(free.x + free.width, used.x + used.width);
+      const overlapTop = Math.max(free.y, used.y);
+      const overlapBottom = Math.min(free.y + free.height, used.y + used.height);
+
+      if (overlapLeft >= overlapRight || overlapTop >= overlapBottom) {
+        remaining.push(free);
+        continue;
+      }
+
+      // Full-height strips beside the obstacle, then the pieces above and below it
+      const pieces = [
+        { x: free.x, y: free.y, width: overlapLeft - free.x, height: free.height },
+        { x: overlapRight, y: free.y, width: free.x + free.width - overlapRight, height: free.height },
+        { x: overlapLeft, y: free.y, width: overlapRight - overlapLeft, height: overlapTop - free.y },
+        { x: overlapLeft, y: overlapBottom, width: overlapRight - overlapLeft, height: free.y + free.height - overlapBottom }
+      ];
+      remaining.push(...pieces.filter(piece => piece.width > 0 && piece.height > 0));
+    }
+
+    this.freeRectangles = remaining;
+  }
+
+  insertRect(width, height, id) {
     // Add spacing to dimensions
     const w = width + this.spacing;
     const h = height + this.spacing;
 
-    // Find best rectangle using best short side fit
+    // Find best rectangle using best short side fit, or topmost then leftmost
     let bestRect = null;
     let bestIndex = -1;
-    let bestShortSideFit = Infinity;
+    let bestScore = [Infinity, Infinity];
 
     for (let i = 0; i < this.freeRectangles.length; i++) {
       const rect = this.freeRectangles[i];
@@ -119,11 +830,12 @@ class GuillouinePacker {
         const leftoverHoriz = rect.width - w;
         const leftoverVert = rect.height - h;
         const shortSideFit = Math.min(leftoverHoriz, leftoverVert);
+        const score = this.topDown ? [rect.y, rect.x] : [shortSideFit, 0];
 
-        if (shortSideFit < bestShortSideFit) {
+        if (score[0] < bestScore[0] || (score[0] === bestScore[0] && score[1] < bestScore[1])) {
           bestRect = rect;
           bestIndex = i;
-          bestShortSideFit = shortSideFit;
+          bestScore = score;
         }
       }
     }
@@ -198,4 +910,4 @@ class GuillouinePacker {
   }
 }
 
-export { NestingEngine, GuillouinePacker };
+export { NestingEngine, GuillouinePacker, ItemOrderings };
@@ -0,0 +1,274 @@
+/**
+ * Order (job) import from a CSV or JSON manifest
+ * Each row names a file to place, how many copies to nest, and optionally a
+ * target size and whether it may rotate. Bad rows and missing files are
+ * reported per row instead of stopping the import.
+ */
+
+import { LengthUnits } from '../utils/units.js';
+
+/**
+ * Accepted column / key names for each row field
+ */
+const ColumnAliases = {
+  file: ["file", "path", "filename", "image"],
+  quantity: ["quantity", "qty", "copies", "count"],
+  width: ["width", "w"],
+  height: ["height", "h"],
+  rotate: ["rotate", "rotation", "allowrotation", "canrotate"]
+};
+
+class OrderImporter {
+  /**
+   * Parse a manifest into rows
+   * @param {string} text - CSV or JSON manifest contents
+   * @param {string} fileName - Used to pick the format; JSON is also detected by content
+   * @returns {Object} - {rows, errors}; rows are {line, file, quantity, width, height, allowRotation}
+   */
+  parse(text, fileName = "") {
+    const isJSON = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    const records = isJSON ? this.parseJSON(text) : this.parseCSV(text);
+
+    const rows = [];
+    const errors = [];
+    for (const { line, record } of records) {
+      try {
+        rows.push(this.normalizeRow(record, line));
+      } catch (error) {
+        errors.push({ line, file: this.getField(record, "file") || "", message: error.message });
+      }
+    }
+    return { rows, errors };
+  }
+
+  /**
+   * JSON manifests are an array of rows, or {items: [...]}
+   */
+  parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Order file is not valid JSON");
+    }
+
+    const items = Array.isArray(data) ? data : data && data.items;
+    if (!Array.isArray(items)) {
+      throw new Error("Order file has no items list");
+    }
+    return items.map((record, index) => ({ line: index + 1, record: record || {} }));
+  }
+
+  /**
+   * CSV manifests need a header row; commas, semicolons or tabs separate columns
+   */
+  parseCSV(text) {
+    const lines = this.splitCSVRecords(text);
+    const headerIndex = lines.findIndex(({ fields }) => fields.some(field => field.trim()));
+    if (headerIndex < 0) {
+      throw new Error("Order file is empty");
+    }
+
+    const header = lines[headerIndex].fields.map(name => name.trim().toLowerCase().replace(/[\s_-]/g, ""));
+    if (!header.some(name => ColumnAliases.file.includes(name))) {
+      throw new Error("Order file has no file column");
+    }
+
+    return lines.slice(headerIndex + 1)
+      .filter(({ fields }) => fields.some(field => field.trim()))
+      .map(({ line, fields }) => {
+        const record = {};
+        header.forEach((name, column) => { record[name] = fields[column]; });
+        return { line, record };
+      });
+  }
+
+  /**
+   * Split CSV text into records of fields, honouring quoted fields
+   * @returns {Array} - Array of {line, fields}; line is the record's first line number
+   */
+  splitCSVRecords(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [",", ";", "\t"]
+      .reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ",");
+
+    const records = [];
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === "\n") line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+        fields = [];
+        field = "";
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || fields.length > 0) {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+    }
+    return records;
+  }
+
+  /**
+   * Validate one manifest record
+   */
+  normalizeRow(record, line) {
+    const file = String(this.getField(record, "file") || "").trim();
+    if (!file) {
+      throw new Error("No file given");
+    }
+
+    const quantityValue = this.getField(record, "quantity");
+    const quantity = quantityValue === undefined || String(quantityValue).trim() === ""
+      ? 1
+      : Number(quantityValue);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`Invalid quantity "${quantityValue}"`);
+    }
+
+    const width = this.parseLength(this.getField(record, "width"), "width");
+    const height = this.parseLength(this.getField(record, "height"), "height");
+    const allowRotation = this.parseBoolean(this.getField(record, "rotate"));
+
+    return { line, file, quantity, width, height, allowRotation };
+  }
+
+  /**
+   * Value of a field under any of its aliases
+   */
+  getField(record, field) {
+    for (const [key, value] of Object.entries(record)) {
+      if (ColumnAliases[field].includes(key.toLowerCase().replace(/[\s_-]/g, ""))) return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Size in points from "50", "50mm", "2.5 in"...; empty means "keep the file's size"
+   */
+  parseLength(value, label) {
+    if (value === undefined || value === null || String(value).trim() === "") return null;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+    const unit = match ? (match[2] || "pt").toLowerCase() : null;
+    if (!match || !LengthUnits[unit] || Number(match[1]) <= 0) {
+      throw new Error(`Invalid ${label} "${value}"`);
+    }
+    return Number(match[1]) * LengthUnits[unit];
+  }
+
+  /**
+   * Rotation permission; empty means "use the panel setting"
+   */
+  parseBoolean(value) {
+    if (value === undefined || value === null || String(value).trim() === "") return null;
+    if (typeof value === "boolean") return value;
+
+    const text = String(value).trim().toLowerCase();
+    if (["yes", "y", "true", "1"].includes(text)) return true;
+    if (["no", "n", "false", "0"].includes(text)) return false;
+    throw new Error(`Invalid rotation permission "${value}"`);
+  }
+
+  /**
+   * Find each row's file; rows whose file is missing move to the errors
+   * Relative paths are resolved against the manifest's folder.
+   * @returns {Promise<Object>} - {rows, errors}; found rows gain an `entry` for placing
+   */
+  async resolveFiles(rows, baseFolder) {
+    const { localFileSystem } = require("uxp").storage;
+    const found = [];
+    const errors = [];
+
+    for (const row of rows) {
+      const path = this.resolvePath(row.file, baseFolder);
+      try {
+        const entry = await localFileSystem.getEntryWithUrl(`file:${path}`);
+        if (!entry || !entry.isFile) throw new Error("Not a file");
+        found.push({ ...row, path, entry });
+      } catch (error) {
+        errors.push({ line: row.line, file: row.file, message: `File not found: ${path}` });
+      }
+    }
+    return { rows: found, errors };
+  }
+
+  resolvePath(file, baseFolder) {
+    const isAbsolute = /^([a-z]:[\\/]|[\\/])/i.test(file);
+    if (isAbsolute || !baseFolder) return file;
+
+    const separator = baseFolder.includes("\\") ? "\\" : "/";
+    return baseFolder.replace(/[\\/]+$/, "") + separator + file;
+  }
+
+  /**
+   * Folder part of a path
+   */
+  getFolder(path) {
+    const index = Math.max(path.lastIndexOf("/"), path.lastIndexOf("\\"));
+    return index >= 0 ? path.slice(0, index) : "";
+  }
+
+  /**
+   * Place a row's file as a linked item, sized to the row's target size
+   * The note carries the quantity and rotation permission for ImageCollector;
+   * either permission overrides the panel's rotation setting for the item.
+   * @param {Object} layer - Layer to place into
+   * @param {Object} row - Resolved row
+   * @param {number} left - Document position of the item's top-left
+   * @param {number} top
+   */
+  placeRow(layer, row, left, top) {
+    const item = layer.placedItems.add();
+    item.file = row.entry;
+
+    const [itemLeft, itemTop, itemRight, itemBottom] = item.geometricBounds;
+    const width = itemRight - itemLeft;
+    const height = itemTop - itemBottom;
+
+    if ((row.width || row.height) && width > 0 && height > 0) {
+      // A single dimension scales proportionally
+      const scaleX = row.width ? row.width / width : row.height / height;
+      const scaleY = row.height ? row.height / height : scaleX;
+      item.resize(scaleX * 100, scaleY * 100, true, true, true, true, 100, Transformation.TOPLEFT);
+    }
+
+    const bounds = item.geometricBounds;
+    item.translate(left - bounds[0], top - bounds[1]);
+
+    item.name = row.entry.name || row.file;
+    const rotation = row.allowRotation === false ? "upright" : row.allowRotation === true ? "rotate=yes" : "";
+    item.note = [`qty=${row.quantity}`, rotation].join(" ").trim();
+    return item;
+  }
+}
+
+export default OrderImporter;
@@ -0,0 +1,333 @@
+/**
+ * Named nesting presets
+ * Presets live in local storage; the last-used preset can also be stored in a
+ * document's XMP metadata so the file restores its own settings when reopened.
+ */
+
+/**
+ * Settings saved in a preset. Per-run choices (selection, artboard) are not.
+ */
+const PresetFields = [
+  "spacing",
+  "allowRotation",
+  "rotationAngles",
+  "targetWidth",
+  "targetHeight",
+  "media",
+  "algorithm",
+  "heuristic",
+  "binMode",
+  "shapeMode",
+  "optimize",
+  "optimizeSeconds",
+  "optimizeIterations",
+  "marginTop",
+  "marginRight",
+  "marginBottom",
+  "marginLeft",
+  "gripperEdge",
+  "gripperSize",
+  "keepOutRegions",
+  "keepOutLayer",
+  "registrationMarks",
+  "markShape",
+  "markSize",
+  "markOffset",
+  "cropMarks",
+  "cropLength",
+  "cropOffset",
+  "sheetLabel",
+  "cutContour",
+  "contourOffset",
+  "contourSource",
+  "bleed",
+  "bleedSize",
+  "bleedMethod",
+  "maxSheets",
+  "groupMode",
+  "keepTogether",
+  "mirrorOutput",
+  "fitToSheet",
+  "fitMinScale",
+  "fitMaxScale",
+  "minPPI",
+  "limitScaleToPPI",
+  "normalizeMode",
+  "normalizeSize"
+];
+
+const STORAGE_KEY = "autoNestPresets";
+const EXPORT_VERSION = 1;
+
+const XMP_NAMESPACE = "http://ns.autonest.app/1.0/";
+const XMP_PREFIX = "autonest";
+
+class PresetStore {
+  /**
+   * @param {Object} defaults - Default settings, used to validate preset values
+   */
+  constructor(defaults = {}) {
+    this.defaults = defaults;
+    this.presets = {};
+  }
+
+  /**
+   * Load presets from local storage
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      this.presets = saved ? this.sanitizePresets(JSON.parse(saved)) : {};
+    } catch (error) {
+      console.error("Failed to load presets:", error);
+      this.presets = {};
+    }
+    return this.presets;
+  }
+
+  /**
+   * Write presets to local storage
+   */
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+    } catch (error) {
+      console.error("Failed to save presets:", error);
+    }
+  }
+
+  getNames() {
+    return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  get(name) {
+    return this.presets[name] || null;
+  }
+
+  /**
+   * Save settings under a name, replacing any preset with that name
+   */
+  save(name, settings) {
+    const presetName = this.validateName(name);
+    this.presets[presetName] = this.pickFields(settings);
+    this.persist();
+    return presetName;
+  }
+
+  rename(oldName, newName) {
+    if (!this.presets[oldName]) {
+      throw new Error(`Preset "${oldName}" not found`);
+    }
+
+    const presetName = this.validateName(newName);
+    if (presetName !== oldName && this.presets[presetName]) {
+      throw new Error(`A preset named "${presetName}" already exists`);
+    }
+
+    const preset = this.presets[oldName];
+    delete this.presets[oldName];
+    this.presets[presetName] = preset;
+    this.persist();
+    return presetName;
+  }
+
+  delete(name) {
+    if (!this.presets[name]) {
+      throw new Error(`Preset "${name}" not found`);
+    }
+    delete this.presets[name];
+    this.persist();
+  }
+
+  /**
+   * Serialize presets for sharing between machines
+   * @param {Array} names - Presets to export (default: all)
+   */
+  exportJSON(names = this.getNames()) {
+    const presets = {};
+    for (const name of names) {
+      if (this.presets[name]) presets[name] = this.presets[name];
+    }
+    return JSON.stringify({ version: EXPORT_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Merge presets from exported JSON; presets with the same name are replaced
+   * @returns {Array} - Names of the imported presets
+   */
+  importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error("Preset file is not valid JSON");
+    }
+
+    if (!data || typeof data.presets !== "object" || data.presets === null) {
+      throw new Error("Preset file has no presets");
+    }
+
+    const imported = this.sanitizePresets(data.presets);
+    const names = Object.keys(imported);
+    if (names.length === 0) {
+      throw new Error("Preset file has no usable presets");
+    }
+
+    Object.assign(this.presets, imported);
+    this.persist();
+    return names;
+  }
+
+  /**
+   * Read the preset stored in a document's metadata
+   * @returns {Object|null} - {name, settings}
+   */
+  readFromDocument(doc) {
+    try {
+      const xmp = doc.XMPString || "";
+      const name = this.readXMPProperty(xmp, "preset");
+      const settings = this.readXMPProperty(xmp, "settings");
+      if (name === null || settings === null) return null;
+
+      return { name, settings: this.sanitizeSettings(JSON.parse(settings)) };
+    } catch (error) {
+      console.error("Failed to read document preset:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a preset in a document's metadata
+   * The settings are embedded too, so the document restores them on machines
+   * that don't have the preset.
+   */
+  writeToDocument(doc, name, settings) {
+    let xmp = doc.XMPString || "";
+    xmp = this.writeXMPProperty(xmp, "preset", name);
+    xmp = this.writeXMPProperty(xmp, "settings", JSON.stringify(this.pickFields(settings)));
+    doc.XMPString = xmp;
+  }
+
+  /**
+   * Remove the stored preset from a document's metadata
+   */
+  clearDocument(doc) {
+    let xmp = doc.XMPString || "";
+    xmp = xmp.replace(this.xmpPropertyPattern("preset"), "");
+    xmp = xmp.replace(this.xmpPropertyPattern("settings"), "");
+    doc.XMPString = xmp;
+  }
+
+  readXMPProperty(xmp, property) {
+    const match = xmp.match(this.xmpPropertyPattern(property));
+    return match ? this.unescapeXML(match[1]) : null;
+  }
+
+  /**
+   * Set an attribute-form property on our own rdf:Description
+   */
+  writeXMPProperty(xmp, property, value) {
+    const attribute = ` ${XMP_PREFIX}:${property}="${this.escapeXML(value)}"`;
+
+    if (this.xmpPropertyPattern(property).test(xmp)) {
+      return xmp.replace(this.xmpPropertyPattern(property), attribute);
+    }
+
+    const descriptionPattern = new RegExp(`<rdf:Description[^>]*xmlns:${XMP_PREFIX}="[^"]*"`);
+    if (descriptionPattern.test(xmp)) {
+      return xmp.replace(descriptionPattern, (match) => match + attribute);
+    }
+
+    const description = `<rdf:Description rdf:about="" xmlns:${XMP_PREFIX}="${XMP_NAMESPACE}"${attribute}/>`;
+    if (xmp.includes("</rdf:RDF>")) {
+      return xmp.replace("</rdf:RDF>", `${description}</rdf:RDF>`);
+    }
+
+    // Document has no metadata packet yet
+    return '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+      '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      description +
+      "</rdf:RDF></x:xmpmeta>";
+  }
+
+  xmpPropertyPattern(property) {
+    return new RegExp(`\\s${XMP_PREFIX}:${property}="([^"]*)"`);
+  }
+
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  unescapeXML(value) {
+    return value
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&");
+  }
+
+  validateName(name) {
+    const presetName = String(name || "").trim();
+    if (!presetName) {
+      throw new Error("Preset name cannot be empty");
+    }
+    return presetName;
+  }
+
+  /**
+   * Copy just the preset fields out of a settings object
+   */
+  pickFields(settings) {
+    const preset = {};
+    for (const field of PresetFields) {
+      if (settings[field] !== undefined) preset[field] = settings[field];
+    }
+    return JSON.parse(JSON.stringify(preset));
+  }
+
+  /**
+   * Drop unknown fields and values whose type doesn't match the defaults
+   */
+  sanitizeSettings(settings) {
+    const clean = {};
+    if (!settings || typeof settings !== "object") return clean;
+
+    for (const field of PresetFields) {
+      const value = settings[field];
+      if (value === undefined) continue;
+
+      const expected = this.defaults[field];
+      if (Array.isArray(expected)) {
+        if (Array.isArray(value) && value.every(v => typeof v === "number" || this.isRect(v))) {
+          clean[field] = value;
+        }
+      } else if (expected === undefined || typeof value === typeof expected) {
+        clean[field] = value;
+      }
+    }
+    return clean;
+  }
+
+  isRect(value) {
+    return value !== null && typeof value === "object" &&
+      ["x", "y", "width", "height"].every(key => typeof value[key] === "number");
+  }
+
+  sanitizePresets(presets) {
+    const clean = {};
+    if (!presets || typeof presets !== "object") return clean;
+
+    for (const [name, settings] of Object.entries(presets)) {
+      const presetName = String(name).trim();
+      if (presetName) clean[presetName] = this.sanitizeSettings(settings);
+    }
+    return clean;
+  }
+}
+
+export default PresetStore;
+export { PresetFields };
@@ -0,0 +1,100 @@
+/**
+ * Base class for artwork generated on each sheet of an applied layout
+ * Each sheet gets one group on a dedicated, locked layer. Groups left on a
+ * sheet by an earlier run are hidden rather than deleted, so undoing a run
+ * brings them back; LayoutApplier deletes them once the run can't be undone.
+ */
+
+class SheetArtwork {
+  /**
+   * @param {string} layerName - Layer holding the artwork
+   * @param {string} groupPrefix - Groups are named "<prefix> - <sheet name>"
+   * @param {Object} options - {atBack: create the layer below all others}
+   */
+  constructor(layerName, groupPrefix, options = {}) {
+    this.layerName = layerName;
+    this.groupPrefix = groupPrefix;
+    this.atBack = options.atBack || false;
+  }
+
+  /**
+   * Draw the artwork for every sheet of an applied layout
+   * @param {Object} doc - Illustrator document
+   * @param {Array} sheets - Array of {name, rect, placements}
+   * @param {Object} transaction - LayoutApplier transaction to record into
+   */
+  drawSheets(doc, sheets, transaction) {
+    const layer = this.getLayer(doc);
+    layer.locked = false;
+
+    try {
+      for (const sheet of sheets) {
+        const groupName = `${this.groupPrefix} - ${sheet.name}`;
+
+        for (let i = 0; i < layer.groupItems.length; i++) {
+          const existing = layer.groupItems[i];
+          if (existing.name === groupName && !existing.hidden) {
+            existing.hidden = true;
+            transaction.hiddenArt.push(existing);
+          }
+        }
+
+        const created = {
+          items: [],
+          recreate: () => [this.drawSheetGroup(this.getLayer(doc), doc, sheet, groupName)]
+        };
+        transaction.createdArt.push(created);
+        created.items = [this.drawSheetGroup(layer, doc, sheet, groupName)];
+      }
+    } finally {
+      // Locked so collection never picks up the artwork
+      layer.locked = true;
+    }
+  }
+
+  /**
+   * Draw one sheet into a new group
+   */
+  drawSheetGroup(layer, doc, sheet, groupName) {
+    const wasLocked = layer.locked;
+    layer.locked = false;
+
+    try {
+      const group = layer.groupItems.add();
+      group.name = groupName;
+
+      // Sheet coordinates (top-left origin, y down) to document coordinates
+      const [left, top] = sheet.rect;
+      const toDoc = (x, y) => [left + x, top - y];
+
+      this.drawSheet(group, doc, sheet, toDoc);
+      return group;
+    } finally {
+      layer.locked = wasLocked;
+    }
+  }
+
+  /**
+   * Draw a sheet's artwork into its group; implemented by subclasses
+   * @param {Object} group - GroupItem to draw into
+   * @param {Object} doc - Illustrator document
+   * @param {Object} sheet - {name, rect, placements}
+   * @param {Function} toDoc - (x, y) in sheet space → [x, y] in the document
+   */
+  drawSheet(group, doc, sheet, toDoc) {
+    throw new Error(`${this.constructor.name} must implement drawSheet()`);
+  }
+
+  getLayer(doc) {
+    for (let i = 0; i < doc.layers.length; i++) {
+      if (doc.layers[i].name === this.layerName) return doc.layers[i];
+    }
+
+    const layer = doc.layers.add();
+    layer.name = this.layerName;
+    if (this.atBack) layer.zOrder(ZOrderMethod.SENDTOBACK);
+    return layer;
+  }
+}
+
+export default SheetArtwork;
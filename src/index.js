@@ -6,25 +6,93 @@
 import ImageCollector from './core/imageCollector.js';
 import { NestingEngine } from './core/nestingEngine.js';
 import LayoutApplier from './core/layoutApplier.js';
+import LayoutHistory from './core/layoutHistory.js';
+import PresetStore from './core/presetStore.js';
+import MarkGenerator from './core/markGenerator.js';
+import ContourGenerator from './core/contourGenerator.js';
+import BleedGenerator from './core/bleedGenerator.js';
+import OrderImporter from './core/orderImporter.js';
+import LayoutFile from './core/layoutFile.js';
+import MediaLibrary from './core/mediaLibrary.js';
+import { CancellationToken, CancelledError } from './utils/performance.js';
+import { Units, getRulerUnit, toPoints, fromPoints, formatLength, formatArea } from './utils/units.js';
 
 class AutoNestPlugin {
   constructor() {
     this.imageCollector = new ImageCollector();
     this.layoutApplier = new LayoutApplier();
+    this.orderImporter = new OrderImporter();
+    this.layoutFile = new LayoutFile();
+    this.mediaLibrary = new MediaLibrary();
+    this.history = new LayoutHistory(this.layoutApplier, { limit: 20 });
     
-    // Default settings
+    // Default settings; lengths are in points
     this.settings = {
+      units: "document", // Panel units: document (ruler units), mm, cm, in, pt
       spacing: 10,
       allowRotation: false,
+      rotationAngles: [0, 90],
       selectedOnly: false,
       artboardIndex: 0,
-      targetWidth: 2000,
-      targetHeight: 2000
+      targetWidth: 2000, // Sheet size when the document has no artboards
+      targetHeight: 2000,
+      media: "", // Media library entry to nest onto, "" = the artboard
+      algorithm: "maxrects",
+      heuristic: "bestShortSideFit",
+      binMode: "expand",
+      shapeMode: "rectangle",
+      optimize: false,
+      optimizeSeconds: 5,
+      optimizeIterations: 500,
+      marginTop: 0,
+      marginRight: 0,
+      marginBottom: 0,
+      marginLeft: 0,
+      gripperEdge: "none", // none, top, bottom, left, right
+      gripperSize: 0,
+      keepOutRegions: [], // {x, y, width, height} from the artboard's top-left
+      keepOutLayer: "Keep Out",
+      registrationMarks: false,
+      markShape: "circle", // circle, square
+      markSize: 14,
+      markOffset: 10,
+      cropMarks: false,
+      cropLength: 9,
+      cropOffset: 3,
+      sheetLabel: false,
+      cutContour: false,
+      contourOffset: 5,
+      contourSource: "outline", // outline, bounds
+      bleed: false,
+      bleedSize: 9, // Added on every side of raster and placed images
+      bleedMethod: "mirror", // mirror, stretch, scale
+      maxSheets: 0, // Multi-sheet limit, 0 = unlimited
+      groupMode: "separate", // separate, rigid (each top-level group nested as one unit)
+      keepTogether: "none", // none, tag, layer
+      mirrorOutput: false, // Reflect every item horizontally, for transfer media
+      fitToSheet: false, // Scale all items uniformly to the largest size that fits one sheet
+      fitMinScale: 10, // Percent
+      fitMaxScale: 400,
+      minPPI: 150, // Designs nested below this effective resolution are flagged, 0 = no check
+      limitScaleToPPI: false, // Fitting and normalizing never enlarge an image below minPPI
+      normalizeMode: "none", // none, width, height: scale every item to normalizeSize first
+      normalizeSize: 144,
+      batchScope: "artboards", // artboards, documents (open), files (chosen)
+      activePreset: "",
+      storePresetInDocument: false
     };
+    this.presetStore = new PresetStore({ ...this.settings });
 
     // State
-    this.lastPlacements = null;
+    this.quantities = {}; // Quantities typed in the panel, by design id; override qty= tokens
+    this.priorities = {}; // Priorities typed in the panel, by design id; override priority= tokens
+    this.orientations = {}; // Orientation rules picked in the panel, by design id; override orient= tokens
+    this.lastLayout = null; // Last applied layout, for export
+    this.pendingLayout = null; // Previewed layout awaiting Apply / Discard
+    this.previewRefreshTimer = null;
+    this.activeDocumentKey = null; // Document the panel last showed, to notice switches
     this.isProcessing = false;
+    this.cancellationToken = null;
   }
 
   /**
@@ -36,11 +104,49 @@ class AutoNestPlugin {
     // Set up UI event listeners
     this.setupUI();
     
-    // Load saved settings
+    // Load saved settings, presets and media
+    this.mediaLibrary.load();
     await this.loadSettings();
+    this.presetStore.load();
+    this.updatePresetList();
+    this.updateMediaList();
     
     // Update UI with current document state
     await this.updateDocumentInfo();
+    this.restoreDocumentPreset();
+
+    // Documents opened or switched to while the panel is open bring their stored preset
+    this.activeDocumentKey = this.getDocumentKey();
+    window.addEventListener("focus", () => this.checkActiveDocument());
+    setInterval(() => this.checkActiveDocument(), 2000);
+  }
+
+  /**
+   * Identify the active document, or null if there is none
+   */
+  getDocumentKey() {
+    try {
+      const doc = app.activeDocument;
+      return doc ? `${doc.path || ""}|${doc.name}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Restore a newly active document's preset and refresh the panel
+   * Runs between tasks only; batches switch documents on purpose.
+   */
+  async checkActiveDocument() {
+    if (this.isProcessing) return;
+
+    const key = this.getDocumentKey();
+    if (key === this.activeDocumentKey) return;
+    this.activeDocumentKey = key;
+    if (!key) return;
+
+    this.restoreDocumentPreset();
+    await this.updateDocumentInfo();
   }
 
   /**
@@ -53,15 +159,32 @@ class AutoNestPlugin {
       nestButton.addEventListener("click", () => this.executeNesting());
     }
 
-    // Spacing slider
+    // Panel units
+    const unitsSelect = document.getElementById("unitsSelect");
+    if (unitsSelect) {
+      unitsSelect.addEventListener("change", (e) => {
+        this.settings.units = e.target.value;
+        this.saveSettings();
+        this.updateUIFromSettings();
+      });
+    }
+
+    // Spacing slider (points) and typed spacing (panel units)
     const spacingSlider = document.getElementById("spacingSlider");
-    const spacingValue = document.getElementById("spacingValue");
+    const spacingInput = document.getElementById("spacingInput");
     if (spacingSlider) {
       spacingSlider.addEventListener("input", (e) => {
-        this.settings.spacing = parseInt(e.target.value);
-        if (spacingValue) {
-          spacingValue.textContent = `${this.settings.spacing}px`;
-        }
+        this.settings.spacing = parseFloat(e.target.value);
+        this.onSettingsChanged();
+        this.updateSpacingDisplay();
+      });
+    }
+    if (spacingInput) {
+      spacingInput.addEventListener("change", (e) => {
+        const value = parseFloat(e.target.value);
+        this.settings.spacing = value > 0 ? toPoints(value, this.getDisplayUnit()) : 0;
+        this.onSettingsChanged();
+        this.updateSpacingDisplay();
       });
     }
 
@@ -70,6 +193,222 @@ class AutoNestPlugin {
     if (rotationToggle) {
       rotationToggle.addEventListener("change", (e) => {
         this.settings.allowRotation = e.target.checked;
+        this.onSettingsChanged();
+      });
+    }
+
+    // Rotation angle set
+    const rotationAnglesSelect = document.getElementById("rotationAnglesSelect");
+    if (rotationAnglesSelect) {
+      rotationAnglesSelect.addEventListener("change", (e) => {
+        this.settings.rotationAngles = this.parseRotationAngles(e.target.value);
+        this.onSettingsChanged();
+      });
+    }
+
+    // Packing algorithm selector
+    const algorithmSelect = document.getElementById("algorithmSelect");
+    if (algorithmSelect) {
+      algorithmSelect.addEventListener("change", (e) => {
+        this.settings.algorithm = e.target.value;
+        this.onSettingsChanged();
+        this.updateHeuristicState();
+      });
+    }
+
+    // Placement heuristic selector
+    const heuristicSelect = document.getElementById("heuristicSelect");
+    if (heuristicSelect) {
+      heuristicSelect.addEventListener("change", (e) => {
+        this.settings.heuristic = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    // Overflow mode selector
+    const binModeSelect = document.getElementById("binModeSelect");
+    if (binModeSelect) {
+      binModeSelect.addEventListener("change", (e) => {
+        this.settings.binMode = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    // True-shape toggle
+    const shapeToggle = document.getElementById("shapeToggle");
+    if (shapeToggle) {
+      shapeToggle.addEventListener("change", (e) => {
+        this.settings.shapeMode = e.target.checked ? "outline" : "rectangle";
+        this.onSettingsChanged();
+      });
+    }
+
+    // Optimize toggle and budget
+    const optimizeToggle = document.getElementById("optimizeToggle");
+    if (optimizeToggle) {
+      optimizeToggle.addEventListener("change", (e) => {
+        this.settings.optimize = e.target.checked;
+        this.onSettingsChanged();
+      });
+    }
+
+    const optimizeTimeSlider = document.getElementById("optimizeTimeSlider");
+    const optimizeTimeValue = document.getElementById("optimizeTimeValue");
+    if (optimizeTimeSlider) {
+      optimizeTimeSlider.addEventListener("input", (e) => {
+        this.settings.optimizeSeconds = parseInt(e.target.value);
+        this.onSettingsChanged();
+        if (optimizeTimeValue) {
+          optimizeTimeValue.textContent = `${this.settings.optimizeSeconds}s`;
+        }
+      });
+    }
+
+    const optimizeIterationsInput = document.getElementById("optimizeIterationsInput");
+    if (optimizeIterationsInput) {
+      optimizeIterationsInput.addEventListener("change", (e) => {
+        const iterations = parseInt(e.target.value);
+        if (iterations > 0) this.settings.optimizeIterations = iterations;
+        this.onSettingsChanged();
+      });
+    }
+
+    // Sheet margins and mark sizes, typed in panel units
+    const lengthInputs = {
+      marginTopInput: "marginTop",
+      marginRightInput: "marginRight",
+      marginBottomInput: "marginBottom",
+      marginLeftInput: "marginLeft",
+      gripperSizeInput: "gripperSize",
+      markSizeInput: "markSize",
+      markOffsetInput: "markOffset",
+      cropLengthInput: "cropLength",
+      cropOffsetInput: "cropOffset",
+      contourOffsetInput: "contourOffset",
+      bleedSizeInput: "bleedSize",
+      normalizeSizeInput: "normalizeSize"
+    };
+    for (const [inputId, setting] of Object.entries(lengthInputs)) {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener("change", (e) => {
+          const value = parseFloat(e.target.value);
+          this.settings[setting] = value > 0 ? toPoints(value, this.getDisplayUnit()) : 0;
+          this.onSettingsChanged();
+        });
+      }
+    }
+
+    // Counts, percentages and resolutions, which have no unit
+    const plainInputs = {
+      maxSheetsInput: "maxSheets",
+      fitMinScaleInput: "fitMinScale",
+      fitMaxScaleInput: "fitMaxScale",
+      minPPIInput: "minPPI"
+    };
+    for (const [inputId, setting] of Object.entries(plainInputs)) {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener("change", (e) => {
+          const value = parseFloat(e.target.value);
+          this.settings[setting] = value > 0 ? value : 0;
+          this.onSettingsChanged();
+        });
+      }
+    }
+
+    const normalizeModeSelect = document.getElementById("normalizeModeSelect");
+    if (normalizeModeSelect) {
+      normalizeModeSelect.addEventListener("change", (e) => {
+        this.settings.normalizeMode = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    const gripperEdgeSelect = document.getElementById("gripperEdgeSelect");
+    if (gripperEdgeSelect) {
+      gripperEdgeSelect.addEventListener("change", (e) => {
+        this.settings.gripperEdge = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    // Print & cut marks
+    const markToggles = {
+      registrationToggle: "registrationMarks",
+      cropMarksToggle: "cropMarks",
+      sheetLabelToggle: "sheetLabel",
+      cutContourToggle: "cutContour",
+      bleedToggle: "bleed",
+      mirrorToggle: "mirrorOutput",
+      fitToSheetToggle: "fitToSheet",
+      limitPPIToggle: "limitScaleToPPI"
+    };
+    for (const [toggleId, setting] of Object.entries(markToggles)) {
+      const toggle = document.getElementById(toggleId);
+      if (toggle) {
+        toggle.addEventListener("change", (e) => {
+          this.settings[setting] = e.target.checked;
+          this.onSettingsChanged();
+        });
+      }
+    }
+
+    const markShapeSelect = document.getElementById("markShapeSelect");
+    if (markShapeSelect) {
+      markShapeSelect.addEventListener("change", (e) => {
+        this.settings.markShape = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    const contourSourceSelect = document.getElementById("contourSourceSelect");
+    if (contourSourceSelect) {
+      contourSourceSelect.addEventListener("change", (e) => {
+        this.settings.contourSource = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    const bleedMethodSelect = document.getElementById("bleedMethodSelect");
+    if (bleedMethodSelect) {
+      bleedMethodSelect.addEventListener("change", (e) => {
+        this.settings.bleedMethod = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    // Grouping constraints
+    const groupModeSelect = document.getElementById("groupModeSelect");
+    if (groupModeSelect) {
+      groupModeSelect.addEventListener("change", (e) => {
+        this.settings.groupMode = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    const keepTogetherSelect = document.getElementById("keepTogetherSelect");
+    if (keepTogetherSelect) {
+      keepTogetherSelect.addEventListener("change", (e) => {
+        this.settings.keepTogether = e.target.value;
+        this.onSettingsChanged();
+      });
+    }
+
+    // Keep-out regions
+    const keepOutInput = document.getElementById("keepOutInput");
+    if (keepOutInput) {
+      keepOutInput.addEventListener("change", (e) => {
+        this.settings.keepOutRegions = this.parseKeepOutRegions(e.target.value);
+        this.onSettingsChanged();
+      });
+    }
+
+    const keepOutLayerInput = document.getElementById("keepOutLayerInput");
+    if (keepOutLayerInput) {
+      keepOutLayerInput.addEventListener("change", (e) => {
+        this.settings.keepOutLayer = e.target.value.trim();
+        this.onSettingsChanged();
       });
     }
 
@@ -78,6 +417,7 @@ class AutoNestPlugin {
     if (selectedOnlyToggle) {
       selectedOnlyToggle.addEventListener("change", (e) => {
         this.settings.selectedOnly = e.target.checked;
+        this.onSettingsChanged();
       });
     }
 
@@ -86,292 +426,2086 @@ class AutoNestPlugin {
     if (artboardSelect) {
       artboardSelect.addEventListener("change", (e) => {
         this.settings.artboardIndex = parseInt(e.target.value);
+        this.onSettingsChanged();
       });
     }
 
+    // Cancel button
+    const cancelButton = document.getElementById("cancelButton");
+    if (cancelButton) {
+      cancelButton.addEventListener("click", () => this.cancelNesting());
+    }
+
     // Undo button
     const undoButton = document.getElementById("undoButton");
     if (undoButton) {
       undoButton.addEventListener("click", () => this.undoLastNesting());
     }
 
-    // Preview toggle
-    const previewToggle = document.getElementById("previewToggle");
-    if (previewToggle) {
-      previewToggle.addEventListener("change", (e) => {
-        this.togglePreview(e.target.checked);
-      });
+    // Redo button
+    const redoButton = document.getElementById("redoButton");
+    if (redoButton) {
+      redoButton.addEventListener("click", () => this.redoLastNesting());
+    }
+
+    this.updateHistoryButtons();
+
+    // Media
+    const mediaSelect = document.getElementById("mediaSelect");
+    if (mediaSelect) {
+      mediaSelect.addEventListener("change", (e) => {
+        this.settings.media = e.target.value;
+        this.fillMediaForm(this.getSelectedMedia());
+        this.onSettingsChanged();
+      });
+    }
+
+    const mediaTypeSelect = document.getElementById("mediaTypeSelect");
+    if (mediaTypeSelect) {
+      mediaTypeSelect.addEventListener("change", () => this.updateMediaFormState());
+    }
+
+    const saveMediaButton = document.getElementById("saveMediaButton");
+    if (saveMediaButton) {
+      saveMediaButton.addEventListener("click", () => this.saveMedia());
+    }
+
+    const deleteMediaButton = document.getElementById("deleteMediaButton");
+    if (deleteMediaButton) {
+      deleteMediaButton.addEventListener("click", () => this.deleteMedia());
+    }
+
+    // Presets
+    const presetSelect = document.getElementById("presetSelect");
+    if (presetSelect) {
+      presetSelect.addEventListener("change", (e) => {
+        if (e.target.value) {
+          this.applyPreset(e.target.value);
+        } else {
+          this.settings.activePreset = "";
+          this.saveSettings();
+        }
+      });
+    }
+
+    const savePresetButton = document.getElementById("savePresetButton");
+    if (savePresetButton) {
+      savePresetButton.addEventListener("click", () => this.savePreset());
+    }
+
+    const renamePresetButton = document.getElementById("renamePresetButton");
+    if (renamePresetButton) {
+      renamePresetButton.addEventListener("click", () => this.renamePreset());
+    }
+
+    const deletePresetButton = document.getElementById("deletePresetButton");
+    if (deletePresetButton) {
+      deletePresetButton.addEventListener("click", () => this.deletePreset());
+    }
+
+    const importPresetsButton = document.getElementById("importPresetsButton");
+    if (importPresetsButton) {
+      importPresetsButton.addEventListener("click", () => this.importPresets());
+    }
+
+    const exportPresetsButton = document.getElementById("exportPresetsButton");
+    if (exportPresetsButton) {
+      exportPresetsButton.addEventListener("click", () => this.exportPresets());
+    }
+
+    const storePresetToggle = document.getElementById("storePresetToggle");
+    if (storePresetToggle) {
+      storePresetToggle.addEventListener("change", (e) => {
+        this.settings.storePresetInDocument = e.target.checked;
+        this.saveSettings();
+        if (e.target.checked) {
+          this.updateDocumentPreset();
+        } else {
+          this.clearDocumentPreset();
+        }
+      });
+    }
+
+    const exportLayoutButton = document.getElementById("exportLayoutButton");
+    if (exportLayoutButton) {
+      exportLayoutButton.addEventListener("click", () => this.exportLayout());
+    }
+
+    const loadLayoutButton = document.getElementById("loadLayoutButton");
+    if (loadLayoutButton) {
+      loadLayoutButton.addEventListener("click", () => this.loadLayout());
+    }
+
+    const pinButton = document.getElementById("pinButton");
+    if (pinButton) {
+      pinButton.addEventListener("click", () => this.setSelectionPinned(true));
+    }
+
+    const unpinButton = document.getElementById("unpinButton");
+    if (unpinButton) {
+      unpinButton.addEventListener("click", () => this.setSelectionPinned(false));
+    }
+
+    const importOrderButton = document.getElementById("importOrderButton");
+    if (importOrderButton) {
+      importOrderButton.addEventListener("click", () => this.importOrder());
+    }
+
+    // Batch
+    const batchScopeSelect = document.getElementById("batchScopeSelect");
+    if (batchScopeSelect) {
+      batchScopeSelect.addEventListener("change", (e) => {
+        this.settings.batchScope = e.target.value;
+        this.saveSettings();
+      });
+    }
+
+    const batchButton = document.getElementById("batchButton");
+    if (batchButton) {
+      batchButton.addEventListener("click", () => this.executeBatch());
+    }
+
+    // Preview buttons
+    const previewButton = document.getElementById("previewButton");
+    if (previewButton) {
+      previewButton.addEventListener("click", () => this.previewNesting());
+    }
+
+    const applyPreviewButton = document.getElementById("applyPreviewButton");
+    if (applyPreviewButton) {
+      applyPreviewButton.addEventListener("click", () => this.applyPreview());
+    }
+
+    const discardPreviewButton = document.getElementById("discardPreviewButton");
+    if (discardPreviewButton) {
+      discardPreviewButton.addEventListener("click", () => {
+        this.discardPreview();
+        this.showMessage("Preview discarded", "info");
+      });
+    }
+  }
+
+  /**
+   * Main nesting execution
+   */
+  async executeNesting() {
+    // Nesting directly replaces any pending preview
+    if (!this.isProcessing) this.discardPreview();
+
+    await this.runTask("nestButton", "Nest Now", async (token) => {
+      const collection = await this.collectItems(token);
+      if (!collection) return;
+
+      const layout = await this.computeLayout(collection, token);
+      if (!layout) return;
+
+      // Last chance to cancel: the document is untouched until here
+      token.throwIfCancelled();
+      this.hideProgress();
+
+      await this.applyComputedLayout(layout);
+    });
+  }
+
+  /**
+   * Nest every artboard, or every open or chosen document, on its own
+   * Each target runs collect → nest → apply with the current settings. A target
+   * that fails is listed in the summary and the batch carries on; cancelling
+   * stops before the next target and keeps the ones already nested.
+   */
+  async executeBatch() {
+    if (!this.isProcessing) this.discardPreview();
+
+    const scope = this.settings.batchScope;
+    let files = [];
+    if (scope === "files") {
+      try {
+        const { localFileSystem } = require("uxp").storage;
+        files = await localFileSystem.getFileForOpening({ allowMultiple: true, types: ["ai", "pdf", "eps", "svg"] });
+      } catch (error) {
+        console.error("Batch file selection failed:", error);
+      }
+      if (!files || files.length === 0) return;
+    }
+
+    await this.runTask("batchButton", "Run Batch", async (token) => {
+      const targets = this.getBatchTargets(scope, files);
+      if (targets.length === 0) throw new Error("Nothing to batch");
+
+      const artboardIndex = this.settings.artboardIndex;
+      const results = [];
+      try {
+        for (const target of targets) {
+          if (token.cancelled) break;
+          this.showMessage(`Batch ${results.length + 1} of ${targets.length}: ${target.label}`, "info");
+          results.push(await this.nestBatchTarget(target, token));
+          this.showBatchSummary(results, targets.length);
+        }
+      } finally {
+        this.settings.artboardIndex = artboardIndex;
+      }
+
+      const failed = results.filter(result => result.error).length;
+      const cancelled = token.cancelled;
+      this.showMessage(
+        `Batch ${cancelled ? "cancelled" : "finished"}: ${results.length - failed} of ${targets.length} nested` +
+          (failed > 0 ? `, ${failed} failed` : ""),
+        failed > 0 || cancelled ? "warning" : "success"
+      );
+    });
+  }
+
+  /**
+   * What a batch runs over; artboard targets are fixed up front because
+   * multi-sheet runs add artboards as they go
+   * @returns {Array} - Array of {label, doc?, file?, artboardIndex}; artboardIndex null = the panel's
+   */
+  getBatchTargets(scope, files = []) {
+    if (scope === "files") {
+      return files.map(file => ({ label: file.name, file, artboardIndex: null }));
+    }
+
+    if (scope === "documents") {
+      const targets = [];
+      for (let i = 0; i < app.documents.length; i++) {
+        targets.push({ label: app.documents[i].name, doc: app.documents[i], artboardIndex: null });
+      }
+      return targets;
+    }
+
+    // Every media run would land on the same media artboard
+    if (this.getSelectedMedia()) {
+      throw new Error("Set Media to \"Artboard size\" to batch nest artboards");
+    }
+
+    const doc = app.activeDocument;
+    if (!doc) throw new Error("No active document");
+    const artboards = this.imageCollector.getArtboards(doc);
+    return artboards.map((artboard, index) => ({ label: artboard.name, doc, artboardIndex: index }));
+  }
+
+  /**
+   * Nest one batch target; failures are returned rather than thrown
+   * A document the batch opened from a file is saved and closed once nested,
+   * or closed without saving if it failed, so long batches don't pile up.
+   * @returns {Promise<Object>} - {label, count, efficiency, unplaced, error}
+   */
+  async nestBatchTarget(target, token) {
+    const result = { label: target.label, count: 0, efficiency: null, unplaced: 0, error: null };
+    let opened = null;
+    let transaction = null;
+
+    try {
+      if (target.file) opened = await app.open(target.file);
+      const doc = opened || target.doc;
+      doc.activate();
+
+      const lastArtboard = doc.artboards.length - 1;
+      this.settings.artboardIndex = target.artboardIndex !== null
+        ? target.artboardIndex
+        : Math.min(this.settings.artboardIndex, lastArtboard);
+
+      const collection = await this.collectItems(token);
+      if (!collection) {
+        result.error = "No images found";
+        return result;
+      }
+
+      const layout = await this.computeLayout(collection, token);
+      if (!layout) {
+        result.error = "Failed to nest images";
+        return result;
+      }
+
+      token.throwIfCancelled();
+      transaction = await this.applyComputedLayout(layout);
+
+      result.count = layout.placements.length;
+      result.efficiency = this.lastLayout.efficiency;
+      result.unplaced = layout.nestingEngine.unplacedItems.length;
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        result.error = "Cancelled";
+      } else {
+        console.error(`Batch target "${target.label}" failed:`, error);
+        result.error = error.message;
+      }
+    } finally {
+      if (opened) this.closeBatchDocument(opened, transaction, result);
+    }
+    return result;
+  }
+
+  /**
+   * Save and close a document the batch opened; one that failed is closed unsaved
+   * Its run leaves the undo history, which can't reach a closed document.
+   */
+  closeBatchDocument(doc, transaction, result) {
+    try {
+      if (transaction) {
+        this.history.discard(transaction);
+        this.updateHistoryButtons();
+      }
+      if (result.error) {
+        doc.close(SaveOptions.DONOTSAVECHANGES);
+      } else {
+        doc.save();
+        doc.close();
+      }
+    } catch (error) {
+      console.error(`Batch target "${result.label}" could not be saved:`, error);
+      result.error = `Not saved: ${error.message}`;
+    }
+  }
+
+  /**
+   * Table of batch results: items nested, efficiency and overflow per target
+   */
+  showBatchSummary(results, targetCount) {
+    const summaryElement = document.getElementById("batchSummary");
+    if (!summaryElement) return;
+
+    const rows = results.map(result => result.error ? `
+      <div class="batch-row">
+        <span class="batch-target">${this.escapeHTML(result.label)}</span>
+        <span class="batch-error">${this.escapeHTML(result.error)}</span>
+      </div>` : `
+      <div class="batch-row">
+        <span class="batch-target">${this.escapeHTML(result.label)}</span>
+        <span>${result.count}</span>
+        <span>${result.efficiency}%</span>
+        <span>${result.unplaced > 0 ? result.unplaced : "—"}</span>
+      </div>`).join("");
+
+    summaryElement.style.display = "block";
+    summaryElement.innerHTML = `
+      <div class="section-title">Batch (${results.length} of ${targetCount})</div>
+      <div class="batch-row batch-header">
+        <span class="batch-target">Target</span>
+        <span>Items</span>
+        <span>Efficiency</span>
+        <span>Overflow</span>
+      </div>${rows}`;
+  }
+
+  /**
+   * Place the files of an order manifest and nest them in one step
+   * Rows that can't be read or placed are listed in the import report; the
+   * rest of the order still goes ahead. Placing is undone with the nesting.
+   */
+  async importOrder() {
+    if (!this.isProcessing) this.discardPreview();
+
+    let file;
+    try {
+      const { localFileSystem } = require("uxp").storage;
+      file = await localFileSystem.getFileForOpening({ types: ["csv", "json", "txt"] });
+    } catch (error) {
+      console.error("Order file selection failed:", error);
+    }
+    if (!file) return;
+
+    await this.runTask("importOrderButton", "Import Order…", async (token) => {
+      const doc = app.activeDocument;
+      if (!doc) throw new Error("No active document");
+
+      const parsed = this.orderImporter.parse(await file.read(), file.name);
+      const folder = this.orderImporter.getFolder(file.nativePath || "");
+      const { rows, errors } = await this.orderImporter.resolveFiles(parsed.rows, folder);
+      const report = [...parsed.errors, ...errors].sort((a, b) => a.line - b.line);
+
+      if (rows.length === 0) {
+        this.showImportReport(file.name, 0, report);
+        this.showMessage("Nothing to import from the order file", "error");
+        return;
+      }
+
+      token.throwIfCancelled();
+      const placed = this.placeOrderRows(doc, rows, report);
+      this.showImportReport(file.name, placed.length, report);
+
+      try {
+        const collection = await this.collectPlacedItems(placed);
+        if (!collection) throw new Error("No imported files could be nested");
+
+        const layout = await this.computeLayout(collection, token);
+        if (!layout) throw new Error("Failed to nest the imported files");
+
+        token.throwIfCancelled();
+        this.hideProgress();
+
+        layout.createdItems = placed.map(({ item, row, layer, left, top }) => ({
+          item,
+          recreate: () => this.orderImporter.placeRow(layer, row, left, top)
+        }));
+        await this.applyComputedLayout(layout);
+      } catch (error) {
+        // Take the placed files out again; anything already undone stays gone
+        for (const { item } of placed) {
+          try {
+            item.remove();
+          } catch (removeError) {
+            // Removed when the layout was rolled back
+          }
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Place each order row's file at the target artboard's top-left
+   * @returns {Array} - Array of {item, row, layer, left, top}; failures are added to the report
+   */
+  placeOrderRows(doc, rows, report) {
+    const layer = doc.activeLayer;
+    if (layer.locked || !layer.visible) {
+      throw new Error(`Layer "${layer.name}" must be unlocked and visible to import into`);
+    }
+
+    const artboard = this.getCurrentArtboard();
+    const [left, top] = artboard ? artboard.bounds : [0, 0];
+
+    const placed = [];
+    for (const row of rows) {
+      try {
+        const item = this.orderImporter.placeRow(layer, row, left, top);
+        placed.push({ item, row, layer, left, top });
+      } catch (error) {
+        report.push({ line: row.line, file: row.file, message: `Could not place file: ${error.message}` });
+      }
+    }
+    return placed;
+  }
+
+  /**
+   * Collection for freshly placed items, in the shape collectItems() returns
+   */
+  async collectPlacedItems(placed) {
+    const options = this.getCollectOptions();
+    const images = [];
+    for (const { item } of placed) {
+      images.push(await this.imageCollector.extractImageData(item, {
+        extractOutlines: options.extractOutlines || options.contourOutlines
+      }));
+    }
+
+    const { valid } = this.imageCollector.validateImages(images);
+    if (valid.length === 0) return null;
+
+    const items = this.createNestItems(valid);
+    this.updateQuantityTable(valid);
+
+    return { valid, items, options };
+  }
+
+  /**
+   * List what an order import placed and which rows failed
+   */
+  showImportReport(fileName, placedCount, report) {
+    const reportElement = document.getElementById("importReport");
+    if (!reportElement) return;
+
+    reportElement.innerHTML = "";
+    reportElement.style.display = "block";
+
+    const summary = document.createElement("div");
+    summary.className = "stat-row";
+    summary.innerHTML = `<span>${this.escapeHTML(fileName)}:</span>` +
+      `<span>${placedCount} placed, ${report.length} problem${report.length === 1 ? "" : "s"}</span>`;
+    reportElement.appendChild(summary);
+
+    for (const problem of report) {
+      const row = document.createElement("div");
+      row.className = "import-problem";
+      row.textContent = `Line ${problem.line}${problem.file ? ` (${problem.file})` : ""}: ${problem.message}`;
+      reportElement.appendChild(row);
+    }
+  }
+
+  /**
+   * Compute a layout and draw it as a preview, without moving anything
+   */
+  async previewNesting() {
+    await this.runTask("previewButton", "Preview", async (token) => {
+      const collection = await this.collectItems(token);
+      if (!collection) return;
+
+      const layout = await this.computeLayout(collection, token);
+      if (!layout) return;
+
+      token.throwIfCancelled();
+      this.showPreview(layout);
+    });
+  }
+
+  /**
+   * Recompute the pending preview after a settings change
+   * Reuses the collected items unless what to collect has changed
+   */
+  async refreshPreview() {
+    if (!this.pendingLayout) return;
+
+    // Try again once the running task is done
+    if (this.isProcessing) {
+      this.schedulePreviewRefresh();
+      return;
+    }
+
+    await this.runTask("previewButton", "Preview", async (token) => {
+      let collection = this.pendingLayout.collection;
+      if (JSON.stringify(collection.options) !== JSON.stringify(this.getCollectOptions())) {
+        collection = await this.collectItems(token);
+        if (!collection) return;
+      }
+
+      const layout = await this.computeLayout(collection, token);
+      if (!layout) return;
+
+      token.throwIfCancelled();
+      this.showPreview(layout);
+    });
+  }
+
+  /**
+   * Called whenever a setting changes in the panel
+   */
+  onSettingsChanged() {
+    this.saveSettings();
+    this.schedulePreviewRefresh();
+  }
+
+  /**
+   * Debounce preview refreshes while sliders are dragged
+   */
+  schedulePreviewRefresh() {
+    if (!this.pendingLayout) return;
+    clearTimeout(this.previewRefreshTimer);
+    this.previewRefreshTimer = setTimeout(() => this.refreshPreview(), 300);
+  }
+
+  /**
+   * Apply the previewed layout as-is
+   */
+  async applyPreview() {
+    const layout = this.pendingLayout;
+    if (!layout) {
+      this.showMessage("Nothing to apply", "warning");
+      return;
+    }
+
+    await this.runTask("applyPreviewButton", "Apply", async () => {
+      this.discardPreview();
+      await this.applyComputedLayout(layout);
+    });
+  }
+
+  /**
+   * Remove the preview and forget its layout
+   */
+  discardPreview() {
+    clearTimeout(this.previewRefreshTimer);
+    this.pendingLayout = null;
+
+    try {
+      this.layoutApplier.removePreview();
+    } catch (error) {
+      console.error("Error removing preview:", error);
+    }
+
+    const previewActions = document.getElementById("previewActions");
+    if (previewActions) previewActions.style.display = "none";
+  }
+
+  /**
+   * Draw a computed layout and offer Apply / Discard
+   */
+  showPreview(layout) {
+    const lowResolution = this.findLowResolution(layout.collection.items, layout.placements);
+    this.layoutApplier.createPreview(layout.placements, {
+      artboardIndex: layout.artboardIndex,
+      rollLength: layout.rollLength,
+      reservedAreas: layout.reservedAreas,
+      media: layout.media,
+      lowResolution: new Map(lowResolution.map(entry => [entry.id, entry.ppi]))
+    });
+    this.updateResolutionList(lowResolution);
+    this.pendingLayout = layout;
+
+    const previewActions = document.getElementById("previewActions");
+    if (previewActions) previewActions.style.display = "block";
+
+    const efficiency = this.calculateEfficiency(
+      layout.placements, layout.targetWidth, layout.targetHeight, layout.binMode
+    );
+    const unplaced = layout.nestingEngine.unplacedItems.length;
+    const cost = this.getMaterialCost(layout);
+    this.showMessage(
+      `Preview: ${layout.placements.length} images` +
+        (layout.fitScale ? ` at ${Math.round(layout.fitScale * 100)}%` : "") +
+        ` (${efficiency}% efficient)` +
+        (cost !== null ? `, est. cost ${cost.toFixed(2)}` : "") +
+        (unplaced > 0 ? `, ${unplaced} left out` : "") +
+        (lowResolution.length > 0 ? `, ${lowResolution.length} below ${this.settings.minPPI} PPI` : ""),
+      unplaced > 0 || lowResolution.length > 0 ? "warning" : "info"
+    );
+  }
+
+  /**
+   * Run a cancellable panel task with progress and error reporting
+   * @param {string} buttonId - Button disabled while the task runs
+   * @param {string} buttonText - Button text to restore afterwards
+   * @param {Function} task - async (token) => void
+   */
+  async runTask(buttonId, buttonText, task) {
+    if (this.isProcessing) {
+      this.showMessage("Already processing...", "warning");
+      return;
+    }
+
+    this.isProcessing = true;
+    this.setButtonState(buttonId, false, "Processing...");
+
+    const token = new CancellationToken();
+    this.cancellationToken = token;
+
+    try {
+      await task(token);
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        this.showMessage("Nesting cancelled, document unchanged", "info");
+      } else {
+        console.error("Nesting error:", error);
+        this.showMessage(`Error: ${error.message}`, "error");
+      }
+    } finally {
+      this.isProcessing = false;
+      this.cancellationToken = null;
+      this.hideProgress();
+      this.setButtonState(buttonId, true, buttonText);
+    }
+  }
+
+  /**
+   * Step 1: collect and validate the items to nest
+   * @returns {Promise<Object|null>} - {valid, items, options}, or null if there's nothing to nest
+   */
+  async collectItems(token) {
+    this.showMessage("Collecting images...", "info");
+    this.showProgress(0, "Collecting images...");
+
+    const options = this.getCollectOptions();
+    const images = await this.imageCollector.collectImages(options);
+    token.throwIfCancelled();
+
+    if (images.length === 0) {
+      this.showMessage("No images found to nest", "warning");
+      return null;
+    }
+
+    // Validate images
+    const { valid, invalid } = this.imageCollector.validateImages(images);
+
+    if (invalid.length > 0) {
+      console.warn(`Skipping ${invalid.length} invalid images:`, invalid);
+    }
+
+    if (valid.length === 0) {
+      this.showMessage("No valid images to nest", "error");
+      return null;
+    }
+
+    const items = this.createNestItems(valid);
+    this.updateQuantityTable(valid);
+
+    return { valid, items, options };
+  }
+
+  /**
+   * Prepare collected images for nesting
+   */
+  createNestItems(images) {
+    return images.map(img => ({
+      id: img.id,
+      width: img.width,
+      height: img.height,
+      originalItem: img.originalItem,
+      outline: img.outline,
+      rotationLocked: img.rotationLocked,
+      rotationAllowed: img.rotationAllowed,
+      mirrored: img.mirrored,
+      orientation: img.orientation,
+      ppi: img.ppi,
+      quantity: img.quantity,
+      priority: img.priority,
+      tag: img.tag,
+      layer: img.layer
+    }));
+  }
+
+  /**
+   * What to collect for the current settings
+   */
+  getCollectOptions() {
+    return {
+      selectedOnly: this.settings.selectedOnly,
+      artboardIndex: this.settings.artboardIndex,
+      extractOutlines: this.settings.shapeMode === "outline",
+      contourOutlines: this.settings.cutContour && this.settings.contourSource === "outline",
+      excludeLayer: this.settings.keepOutLayer || null,
+      rigidGroups: this.settings.groupMode === "rigid"
+    };
+  }
+
+  /**
+   * Step 2: run the nesting algorithm on collected items
+   * @returns {Promise<Object|null>} - Layout to preview or apply, or null on failure
+   */
+  async computeLayout(collection, token) {
+    const items = this.applyKeepTogether(
+      this.applyTableOverrides(this.applyBleed(this.applyNormalize(collection.items)))
+    );
+    this.showMessage(`Nesting ${items.length} images...`, "info");
+
+    // Target size from the chosen media, else the artboard; roll media always nest as a roll
+    const media = this.getSelectedMedia();
+    const artboard = media ? null : this.getCurrentArtboard();
+    let binMode = media && media.type === "roll" ? "roll" : this.settings.binMode;
+
+    // Fitting scales everything onto one sheet; a roll has no sheet to fit
+    const fit = this.settings.fitToSheet && binMode !== "roll";
+    if (fit) binMode = "multiSheet";
+    const targetWidth = media ? media.width : artboard ? artboard.width : this.settings.targetWidth;
+    const targetHeight = media && media.height ? media.height :
+      artboard ? artboard.height : this.settings.targetHeight;
+
+    // Marks need room: reserved regions on the sheet, crop marks between items
+    const isRoll = binMode === "roll";
+    const { markGenerator, contourGenerator, bleedGenerator } = this.createArtwork(collection.items);
+    const margins = this.getSheetMargins();
+    const keepOutRegions = this.getKeepOutRegions();
+    let spacing = this.settings.spacing;
+
+    if (markGenerator) {
+      spacing = Math.max(spacing, markGenerator.getCropReach());
+      keepOutRegions.push(...markGenerator.getReservedRegions(targetWidth, isRoll ? null : targetHeight));
+      if (isRoll) margins.bottom += markGenerator.getBottomReach();
+    }
+
+    // Contours stick out of their items, so keep them apart and on the sheet
+    if (contourGenerator) {
+      spacing = Math.max(spacing, contourGenerator.getRequiredSpacing());
+      for (const edge of Object.keys(margins)) margins[edge] += contourGenerator.offset;
+    }
+
+    const nestingEngine = new NestingEngine({
+      spacing,
+      allowRotation: this.settings.allowRotation,
+      rotationAngles: this.settings.rotationAngles,
+      targetWidth,
+      targetHeight,
+      algorithm: this.settings.algorithm,
+      heuristic: this.settings.heuristic,
+      binMode,
+      shapeMode: this.settings.shapeMode,
+      margins,
+      keepOutRegions,
+      pinnedRegions: this.getPinnedRegions(media),
+      maxSheets: fit ? 1 : this.settings.maxSheets
+    });
+
+    let placements;
+    let fitScale = null;
+    if (fit) {
+      const result = await nestingEngine.fitScale(this.applyScaleLimits(items), {
+        minScale: this.settings.fitMinScale / 100,
+        maxScale: this.settings.fitMaxScale / 100,
+        token,
+        onProgress: ({ scale, progress }) => {
+          this.showProgress(progress, `Trying ${Math.round(scale * 100)}%...`);
+        }
+      });
+      placements = result.placements;
+      fitScale = result.scale;
+    } else if (this.settings.optimize) {
+      placements = await this.runOptimization(nestingEngine, items, targetWidth, targetHeight, token);
+    } else {
+      placements = await nestingEngine.nestAsync(items, {
+        token,
+        onProgress: ({ placed, total, progress }) => {
+          this.showProgress(progress, `Packing ${placed} of ${total}...`);
+        }
+      });
+    }
+
+    if (placements.length === 0) {
+      this.showMessage("Failed to nest images", "error");
+      return null;
+    }
+
+    if (nestingEngine.unplacedItems.length > 0) {
+      console.warn(`${nestingEngine.unplacedItems.length} images are larger than the sheet:`,
+        nestingEngine.unplacedItems);
+    }
+
+    const rollLength = isRoll ? nestingEngine.usedLength : null;
+    return {
+      collection,
+      placements,
+      nestingEngine,
+      targetWidth,
+      targetHeight,
+      artboardIndex: this.settings.artboardIndex,
+      binMode,
+      media,
+      fitScale,
+      rollLength,
+      reservedAreas: nestingEngine.getObstacles(targetWidth, isRoll ? rollLength : targetHeight),
+      artwork: [bleedGenerator, markGenerator, contourGenerator].filter(Boolean)
+    };
+  }
+
+  /**
+   * Cluster items that must stay on one sheet, side by side
+   */
+  applyKeepTogether(items) {
+    const mode = this.settings.keepTogether;
+    if (mode !== "tag" && mode !== "layer") return items;
+
+    return items.map(item => ({
+      ...item,
+      cluster: mode === "tag" ? item.tag : item.layer
+    }));
+  }
+
+  /**
+   * Scale every item to a common width or height before nesting
+   */
+  applyNormalize(items) {
+    const { normalizeMode, normalizeSize } = this.settings;
+    if ((normalizeMode !== "width" && normalizeMode !== "height") || !(normalizeSize > 0)) return items;
+
+    return items.map(item => {
+      const size = normalizeMode === "width" ? item.width : item.height;
+      return size > 0 ? NestingEngine.scaleItem(item, Math.min(normalizeSize / size, this.getMaxScale(item))) : item;
+    });
+  }
+
+  /**
+   * Largest scale an item may take without its images dropping below the minimum PPI
+   * Images already below it are not enlarged at all; shrinking is always allowed.
+   */
+  getMaxScale(item) {
+    const { limitScaleToPPI, minPPI } = this.settings;
+    return limitScaleToPPI && minPPI > 0 && item.ppi ? Math.max(1, item.ppi / minPPI) : Infinity;
+  }
+
+  /**
+   * Cap how far fitting may enlarge each item, relative to any normalization
+   */
+  applyScaleLimits(items) {
+    return items.map(item => {
+      const maxScale = this.getMaxScale(item);
+      return isFinite(maxScale) ? { ...item, maxScale: maxScale / (item.scale || 1) } : item;
+    });
+  }
+
+  /**
+   * Designs whose images end up below the minimum PPI, lowest first
+   * Rotation keeps the resolution; scaling divides it.
+   * @param {Array} items - Collected or nest items, with their PPI at 100%
+   * @param {Array} placements - Placements, or the items themselves before nesting
+   * @returns {Array} - Array of {id, name, ppi}
+   */
+  findLowResolution(items, placements = items) {
+    const minPPI = this.settings.minPPI;
+    if (!(minPPI > 0)) return [];
+
+    const byId = new Map(items.map(item => [item.id, item]));
+    const found = new Map();
+    for (const placement of placements) {
+      const id = placement.sourceId || placement.id;
+      const item = byId.get(id);
+      if (found.has(id) || !item || !item.ppi) continue;
+
+      const ppi = item.ppi / (placement.scale || 1);
+      if (ppi < minPPI) {
+        found.set(id, { id, name: this.getDesignName(item.originalItem), ppi: Math.round(ppi) });
+      }
+    }
+    return [...found.values()].sort((a, b) => a.ppi - b.ppi);
+  }
+
+  /**
+   * List low-resolution designs under the quantity table
+   */
+  updateResolutionList(lowResolution) {
+    const list = document.getElementById("resolutionList");
+    if (!list) return;
+
+    list.innerHTML = "";
+    list.style.display = lowResolution.length > 0 ? "block" : "none";
+    if (lowResolution.length === 0) return;
+
+    const title = document.createElement("div");
+    title.className = "resolution-title";
+    title.textContent = `Below ${this.settings.minPPI} PPI:`;
+    list.appendChild(title);
+
+    for (const entry of lowResolution) {
+      const row = document.createElement("div");
+      row.className = "resolution-row";
+      row.textContent = `${entry.name}: ${entry.ppi} PPI`;
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Quantities, priorities and orientations set in the panel win over the items' tokens
+   */
+  applyTableOverrides(items) {
+    return items.map(item => {
+      const orientation = this.orientations[item.id] || item.orientation || "any";
+      return {
+        ...item,
+        quantity: this.quantities[item.id] || item.quantity || 1,
+        priority: item.id in this.priorities ? this.priorities[item.id] : item.priority || 0,
+        orientation,
+        rotationLocked: orientation === "locked"
+      };
+    });
+  }
+
+  /**
+   * Give raster and placed images their bleed, which the engine packs around
+   * Applied per run rather than at collection so changing the bleed doesn't
+   * re-read the document.
+   */
+  applyBleed(items) {
+    const bleed = this.settings.bleed ? this.settings.bleedSize : 0;
+    return items.map(item => ({
+      ...item,
+      bleed: bleed > 0 && item.originalItem && BleedGenerator.appliesTo(item.originalItem) ? bleed : 0
+    }));
+  }
+
+  /**
+   * Step 3: move the items and report the result
+   * @returns {Promise<Object>} - The transaction recorded for undo
+   */
+  async applyComputedLayout(layout) {
+    const { placements, nestingEngine, targetWidth, targetHeight, rollLength } = layout;
+
+    const result = await this.layoutApplier.applyLayout(placements, {
+      artboardIndex: layout.artboardIndex,
+      rollLength,
+      artwork: layout.artwork,
+      copies: new Map(layout.collection.valid.map(img => [img.id, img.copies || []])),
+      createdItems: layout.createdItems || [],
+      mirror: this.settings.mirrorOutput,
+      media: layout.media || null
+    });
+
+    // Store for undo
+    this.history.record(result.transaction);
+    this.updateHistoryButtons();
+
+    // Calculate efficiency
+    const efficiency = this.calculateEfficiency(placements, targetWidth, targetHeight, layout.binMode);
+    const sheetUsage = layout.binMode === "multiSheet"
+      ? nestingEngine.calculateSheetUsage(placements)
+      : null;
+
+    const sheetText = result.sheets > 1 ? ` on ${result.sheets} sheets` :
+      rollLength !== null ? ` on ${this.formatLength(rollLength)} of roll` : "";
+    const scaleText = layout.fitScale ? ` at ${Math.round(layout.fitScale * 100)}%` : "";
+    const lowResolution = this.findLowResolution(layout.collection.items, placements);
+    this.updateResolutionList(lowResolution);
+    this.showMessage(
+      `✓ Successfully nested ${result.count} images${sheetText}${scaleText} (${efficiency}% efficient)` +
+        (lowResolution.length > 0 ? `, ${lowResolution.length} below ${this.settings.minPPI} PPI` : ""),
+      nestingEngine.unplacedItems.length > 0 || lowResolution.length > 0 ? "warning" : "success"
+    );
+
+    // Update statistics
+    const cost = this.getMaterialCost(layout);
+    this.updateStatistics(placements, efficiency, sheetUsage, nestingEngine.unplacedItems, rollLength,
+      cost !== null ? { amount: cost, media: layout.media } : null);
+
+    this.lastLayout = { ...layout, efficiency };
+    this.setButtonState("exportLayoutButton", true, "Export Layout…");
+    return result.transaction;
+  }
+
+  /**
+   * Save the last applied layout as a JSON job file or a CSV report
+   * The format follows the chosen file's extension.
+   */
+  async exportLayout() {
+    const layout = this.lastLayout;
+    if (!layout) {
+      this.showMessage("Nest something first to export its layout", "warning");
+      return;
+    }
+
+    try {
+      const { localFileSystem } = require("uxp").storage;
+      const file = await localFileSystem.getFileForSaving("nest-layout.json", { types: ["json", "csv"] });
+      if (!file) return;
+
+      const info = {
+        efficiency: layout.efficiency,
+        documentName: app.activeDocument ? app.activeDocument.name : "",
+        settings: this.presetStore.pickFields(this.settings)
+      };
+      const isCSV = /\.csv$/i.test(file.name);
+      await file.write(isCSV ? this.layoutFile.toCSV(layout, info) : this.layoutFile.toJSON(layout, info));
+      this.showMessage(`Exported layout to ${file.name}`, "success");
+    } catch (error) {
+      console.error("Layout export failed:", error);
+      this.showMessage(`Export failed: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Apply a saved job file to the matching items in this document
+   * The file's settings are restored first, so marks, contours and bleed
+   * come out as they did originally.
+   */
+  async loadLayout() {
+    if (!this.isProcessing) this.discardPreview();
+
+    let file;
+    try {
+      const { localFileSystem } = require("uxp").storage;
+      file = await localFileSystem.getFileForOpening({ types: ["json"] });
+    } catch (error) {
+      console.error("Layout file selection failed:", error);
+    }
+    if (!file) return;
+
+    await this.runTask("loadLayoutButton", "Load Layout…", async (token) => {
+      const data = this.layoutFile.parse(await file.read());
+
+      this.settings = {
+        ...this.settings,
+        ...this.presetStore.sanitizeSettings(data.settings),
+        activePreset: ""
+      };
+      this.updateUIFromSettings();
+      this.updatePresetList();
+      this.saveSettings();
+
+      const options = { ...this.getCollectOptions(), selectedOnly: false, artboardIndex: null };
+      const images = await this.imageCollector.collectImages(options);
+      const { valid } = this.imageCollector.validateImages(images);
+      const { placements, problems } = this.layoutFile.matchPlacements(data, valid);
+      this.showImportReport(file.name, placements.length, problems);
+
+      if (placements.length === 0) {
+        this.showMessage("No items in this document match the layout", "error");
+        return;
+      }
+
+      const items = this.createNestItems(valid);
+      const { markGenerator, contourGenerator, bleedGenerator } = this.createArtwork(items);
+
+      const artboardIndex = app.activeDocument.artboards[data.artboardIndex]
+        ? data.artboardIndex
+        : this.settings.artboardIndex;
+      const layout = {
+        collection: { valid, items, options },
+        placements,
+        nestingEngine: new NestingEngine({
+          targetWidth: data.targetWidth,
+          targetHeight: data.targetHeight,
+          binMode: data.binMode
+        }),
+        targetWidth: data.targetWidth,
+        targetHeight: data.targetHeight,
+        artboardIndex,
+        binMode: data.binMode,
+        media: data.media ? this.mediaLibrary.get(data.media) : null,
+        rollLength: typeof data.rollLength === "number" ? data.rollLength : null,
+        artwork: [bleedGenerator, markGenerator, contourGenerator].filter(Boolean)
+      };
+
+      token.throwIfCancelled();
+      await this.applyComputedLayout(layout);
+    });
+  }
+
+  /**
+   * Per-edge margins with the gripper added to its edge
+   */
+  getSheetMargins() {
+    const margins = {
+      top: this.settings.marginTop,
+      right: this.settings.marginRight,
+      bottom: this.settings.marginBottom,
+      left: this.settings.marginLeft
+    };
+
+    if (this.settings.gripperEdge in margins) {
+      margins[this.settings.gripperEdge] += this.settings.gripperSize;
+    }
+    return margins;
+  }
+
+  /**
+   * Sheet artwork generators for the current settings; null when disabled
+   */
+  createArtwork(items) {
+    return {
+      markGenerator: this.createMarkGenerator(),
+      contourGenerator: this.settings.cutContour
+        ? new ContourGenerator({
+          offset: this.settings.contourOffset,
+          source: this.settings.contourSource,
+          items,
+          mirror: this.settings.mirrorOutput
+        })
+        : null,
+      bleedGenerator: this.settings.bleed && this.settings.bleedSize > 0
+        ? new BleedGenerator({ method: this.settings.bleedMethod })
+        : null
+    };
+  }
+
+  /**
+   * Mark generator for the current settings, or null if no marks are wanted
+   */
+  createMarkGenerator() {
+    const { registrationMarks, cropMarks, sheetLabel } = this.settings;
+    if (!registrationMarks && !cropMarks && !sheetLabel) return null;
+
+    return new MarkGenerator({
+      registration: registrationMarks,
+      markShape: this.settings.markShape,
+      markSize: this.settings.markSize,
+      markOffset: this.settings.markOffset,
+      cropMarks,
+      cropLength: this.settings.cropLength,
+      cropOffset: this.settings.cropOffset,
+      label: sheetLabel
+    });
+  }
+
+  /**
+   * Keep-out regions typed in the panel plus those drawn on the guide layer
+   */
+  getKeepOutRegions() {
+    const regions = [...this.settings.keepOutRegions];
+
+    if (this.settings.keepOutLayer) {
+      try {
+        const doc = app.activeDocument;
+        regions.push(...this.imageCollector.collectKeepOutRegions(
+          doc, this.settings.keepOutLayer, this.settings.artboardIndex
+        ));
+      } catch (error) {
+        console.error("Error reading keep-out layer:", error);
+      }
+    }
+    return regions;
+  }
+
+  /**
+   * Bounds of pinned items on the target artboard, which nesting works around
+   */
+  getPinnedRegions(media = null) {
+    try {
+      const doc = app.activeDocument;
+      let artboardIndex = this.settings.artboardIndex;
+
+      // Media are nested onto their own artboard, which has no pins until it exists
+      if (media) {
+        artboardIndex = -1;
+        for (let i = 0; i < doc.artboards.length; i++) {
+          if (doc.artboards[i].name === media.name) artboardIndex = i;
+        }
+        if (artboardIndex < 0) return [];
+      }
+      return this.imageCollector.collectPinnedRegions(doc, artboardIndex);
+    } catch (error) {
+      console.error("Error reading pinned items:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Pin or unpin the selected items by adding or removing "pinned" in their notes
+   */
+  setSelectionPinned(pinned) {
+    const doc = app.activeDocument;
+    const selection = doc ? this.imageCollector.getSelectedItems(doc) : [];
+    if (selection.length === 0) {
+      this.showMessage("Select the items to pin or unpin first", "warning");
+      return;
+    }
+
+    let namedPins = 0;
+    for (const item of selection) {
+      const note = (item.note || "").replace(/\s*\bpinned\b/gi, "").trim();
+      item.note = pinned ? `${note} pinned`.trim() : note;
+      if (!pinned && /\bpinned\b/i.test(item.name || "")) namedPins++;
+    }
+
+    this.showMessage(
+      namedPins > 0
+        ? `${namedPins} item${namedPins === 1 ? " is" : "s are"} pinned by name; rename to unpin`
+        : `${pinned ? "Pinned" : "Unpinned"} ${selection.length} item${selection.length === 1 ? "" : "s"}`,
+      namedPins > 0 ? "warning" : "success"
+    );
+    this.schedulePreviewRefresh();
+  }
+
+  /**
+   * Cancel the running nesting computation
+   */
+  cancelNesting() {
+    if (this.cancellationToken) {
+      this.cancellationToken.cancel();
+      this.setButtonState("cancelButton", false, "Cancelling...");
+    }
+  }
+
+  /**
+   * Show the progress bar
+   * @param {number} fraction - Progress from 0 to 1
+   * @param {string} label - Text under the bar
+   */
+  showProgress(fraction, label) {
+    const container = document.getElementById("progressContainer");
+    if (!container) return;
+
+    container.style.display = "block";
+
+    const fill = document.getElementById("progressFill");
+    if (fill) fill.style.width = `${Math.round(fraction * 100)}%`;
+
+    const text = document.getElementById("progressLabel");
+    if (text && label) text.textContent = label;
+  }
+
+  hideProgress() {
+    const container = document.getElementById("progressContainer");
+    if (container) container.style.display = "none";
+    this.setButtonState("cancelButton", true, "Cancel");
+  }
+
+  /**
+   * Run the optimizer, showing the best-so-far efficiency as it improves
+   */
+  async runOptimization(nestingEngine, items, targetWidth, targetHeight, token) {
+    const statusElement = document.getElementById("optimizeStatus");
+    if (statusElement) statusElement.style.display = "flex";
+
+    const updateStatus = (iteration, placements) => {
+      if (!statusElement) return;
+      const efficiency = this.calculateEfficiency(placements, targetWidth, targetHeight, nestingEngine.binMode);
+      statusElement.innerHTML = `
+        <span class="info-label">Optimizing (pass ${iteration}):</span>
+        <span class="info-value">best ${efficiency}%</span>
+      `;
+    };
+
+    try {
+      return await nestingEngine.optimize(items, {
+        timeLimit: this.settings.optimizeSeconds * 1000,
+        maxIterations: this.settings.optimizeIterations,
+        token,
+        onProgress: ({ phase, iteration, improved, placements, progress }) => {
+          // Packing events from each pass are too fine-grained to show
+          if (phase !== "optimizing") return;
+          this.showProgress(progress, `Optimizing, pass ${iteration}...`);
+          if (improved || iteration % 10 === 0) updateStatus(iteration, placements);
+        }
+      });
+    } finally {
+      if (statusElement) statusElement.style.display = "none";
+    }
+  }
+
+  /**
+   * Get current artboard info
+   */
+  getCurrentArtboard() {
+    try {
+      const doc = app.activeDocument;
+      if (!doc) return null;
+
+      const artboards = this.imageCollector.getArtboards(doc);
+      if (artboards.length > 0 && this.settings.artboardIndex < artboards.length) {
+        return artboards[this.settings.artboardIndex];
+      }
+    } catch (error) {
+      console.error("Error getting artboard:", error);
+    }
+    return null;
+  }
+
+  /**
+   * Calculate packing efficiency
+   */
+  calculateEfficiency(placements, targetWidth, targetHeight, binMode = this.settings.binMode) {
+    // Fixed sheets are measured against the full sheet area
+    if (binMode === "multiSheet") {
+      const sheetCount = new Set(placements.map(p => p.sheetIndex || 0)).size;
+      const usedArea = placements.reduce((sum, p) => sum + (p.width * p.height), 0);
+      const totalArea = sheetCount * targetWidth * targetHeight;
+      return totalArea > 0 ? Math.round((usedArea / totalArea) * 100) : 0;
+    }
+
+    // Roll media is measured against the full roll width
+    if (binMode === "roll") {
+      const bounds = this.layoutApplier.calculateFinalBounds(placements, 0, 0);
+      const usedArea = placements.reduce((sum, p) => sum + (p.width * p.height), 0);
+      const totalArea = targetWidth * bounds.height;
+      return totalArea > 0 ? Math.round((usedArea / totalArea) * 100) : 0;
+    }
+
+    const bounds = this.layoutApplier.calculateFinalBounds(placements, 0, 0);
+    const usedArea = placements.reduce((sum, p) => sum + (p.width * p.height), 0);
+    const totalArea = bounds.width * bounds.height;
+    return totalArea > 0 ? Math.round((usedArea / totalArea) * 100) : 0;
+  }
+
+  /**
+   * Update document info in UI
+   */
+  async updateDocumentInfo() {
+    try {
+      const doc = app.activeDocument;
+      if (!doc) {
+        this.showMessage("No active document", "warning");
+        return;
+      }
+
+      // Ruler units may differ between documents
+      if (this.settings.units === "document") this.updateUIFromSettings();
+
+      // Update artboard dropdown
+      const artboards = this.imageCollector.getArtboards(doc);
+      const select = document.getElementById("artboardSelect");
+      if (select) {
+        select.innerHTML = "";
+        artboards.forEach((ab, index) => {
+          const option = document.createElement("option");
+          option.value = index;
+          option.textContent = `${ab.name} (${fromPoints(ab.width, this.getDisplayUnit())}×${this.formatLength(ab.height)})`;
+          select.appendChild(option);
+        });
+      }
+
+      // Update image count
+      const images = await this.imageCollector.collectImages({
+        excludeLayer: this.settings.keepOutLayer || null
+      });
+      const countElement = document.getElementById("imageCount");
+      if (countElement) {
+        countElement.textContent = `${images.length} images found`;
+      }
+      this.updateQuantityTable(images);
+      this.updateResolutionList(this.findLowResolution(images));
+
+    } catch (error) {
+      console.error("Error updating document info:", error);
+    }
+  }
+
+  /**
+   * List collected designs with quantity and priority inputs
+   */
+  updateQuantityTable(images) {
+    const table = document.getElementById("quantityTable");
+    if (!table) return;
+
+    table.innerHTML = "";
+    if (images.length === 0) {
+      table.textContent = "No images found";
+      return;
+    }
+
+    const header = document.createElement("div");
+    header.className = "quantity-row quantity-header";
+    for (const text of ["Design", "Qty", "Priority", "Rotate"]) {
+      const cell = document.createElement("span");
+      cell.textContent = text;
+      header.appendChild(cell);
+    }
+    table.appendChild(header);
+
+    for (const img of images) {
+      const row = document.createElement("div");
+      row.className = "quantity-row";
+
+      const label = document.createElement("span");
+      label.className = "quantity-name";
+      const unit = this.getDisplayUnit();
+      label.textContent = `${this.getDesignName(img.originalItem)} (${fromPoints(img.width, unit)}×${this.formatLength(img.height)})`;
+      row.appendChild(label);
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "1";
+      input.value = this.quantities[img.id] || img.quantity || 1;
+      input.addEventListener("change", (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (value > 0) {
+          this.quantities[img.id] = value;
+        } else {
+          delete this.quantities[img.id];
+          e.target.value = img.quantity || 1;
+        }
+        this.schedulePreviewRefresh();
+      });
+      row.appendChild(input);
+
+      const priorityInput = document.createElement("input");
+      priorityInput.type = "number";
+      priorityInput.step = "1";
+      priorityInput.value = img.id in this.priorities ? this.priorities[img.id] : img.priority || 0;
+      priorityInput.addEventListener("change", (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (isNaN(value)) {
+          delete this.priorities[img.id];
+          e.target.value = img.priority || 0;
+        } else {
+          this.priorities[img.id] = value;
+        }
+        this.schedulePreviewRefresh();
+      });
+      row.appendChild(priorityInput);
+
+      const orientationSelect = document.createElement("select");
+      for (const [value, text] of [["any", "Any"], ["180", "180°"], ["locked", "Locked"]]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        orientationSelect.appendChild(option);
+      }
+      orientationSelect.value = this.orientations[img.id] || img.orientation || "any";
+      orientationSelect.addEventListener("change", (e) => {
+        if (e.target.value === (img.orientation || "any")) {
+          delete this.orientations[img.id];
+        } else {
+          this.orientations[img.id] = e.target.value;
+        }
+        this.schedulePreviewRefresh();
+      });
+      row.appendChild(orientationSelect);
+
+      table.appendChild(row);
+    }
+  }
+
+  /**
+   * An item's name without its qty= token
+   */
+  getDesignName(item) {
+    const name = item && item.name ? item.name.replace(/\s*\bqty\s*=\s*\d+/i, "").trim() : "";
+    return name || "Untitled";
+  }
+
+  /**
+   * Update statistics display
+   */
+  updateStatistics(placements, efficiency, sheetUsage = null, unplacedItems = [], rollLength = null, cost = null) {
+    const statsElement = document.getElementById("statistics");
+    if (!statsElement) return;
+
+    const bounds = this.layoutApplier.calculateFinalBounds(placements, 0, 0);
+
+    let sheetRows = "";
+    if (sheetUsage) {
+      sheetRows = `
+      <div class="stat-row">
+        <span>Sheets used:</span>
+        <span>${sheetUsage.length}</span>
+      </div>` + sheetUsage.map(sheet => `
+      <div class="stat-row stat-row-sub">
+        <span>Sheet ${sheet.index + 1} (${sheet.count} images):</span>
+        <span>${sheet.fill}% filled</span>
+      </div>`).join("");
+    }
+
+    let unplacedRow = "";
+    if (unplacedItems.length > 0) {
+      unplacedRow = `
+      <div class="stat-row">
+        <span>Not placed:</span>
+        <span>${unplacedItems.length}</span>
+      </div>`;
+    }
+
+    let rollRow = "";
+    if (rollLength !== null) {
+      rollRow = `
+      <div class="stat-row">
+        <span>Roll length:</span>
+        <span>${this.formatLength(rollLength)} (${(rollLength / 72 * 0.0254).toFixed(2)} m)</span>
+      </div>`;
+    }
+
+    // Placed / requested copies of each design, once any design has more than one
+    let designRows = "";
+    const designs = new Map();
+    const countDesign = (item, placed) => {
+      const id = item.sourceId || item.id;
+      const design = designs.get(id) || { item: item.originalItem, placed: 0, requested: 0 };
+      design.requested++;
+      if (placed) design.placed++;
+      designs.set(id, design);
+    };
+    placements.forEach(p => countDesign(p, true));
+    unplacedItems.forEach(item => countDesign(item, false));
+
+    if ([...designs.values()].some(design => design.requested > 1)) {
+      designRows = `
+      <div class="stat-row">
+        <span>Designs:</span>
+        <span>${designs.size}</span>
+      </div>` + [...designs.values()].map(design => `
+      <div class="stat-row stat-row-sub">
+        <span>${this.escapeHTML(this.getDesignName(design.item))}:</span>
+        <span>${design.placed} of ${design.requested}</span>
+      </div>`).join("");
+    }
+
+    // Cut area is what gets trimmed out; bleed area is what the sheet gives up
+    let areaRows = "";
+    if (placements.some(p => p.bleed > 0)) {
+      const cutArea = placements.reduce((sum, p) => sum + p.width * p.height, 0);
+      const bleedArea = placements.reduce((sum, p) => {
+        const bleed = p.bleed || 0;
+        return sum + (p.width + bleed * 2) * (p.height + bleed * 2);
+      }, 0);
+      areaRows = `
+      <div class="stat-row">
+        <span>Cut area:</span>
+        <span>${this.formatArea(cutArea)}</span>
+      </div>
+      <div class="stat-row">
+        <span>Bleed area:</span>
+        <span>${this.formatArea(bleedArea)}</span>
+      </div>`;
+    }
+
+    let costRow = "";
+    if (cost) {
+      costRow = `
+      <div class="stat-row">
+        <span>Material cost (${this.escapeHTML(cost.media.name)}):</span>
+        <span>${cost.amount.toFixed(2)}</span>
+      </div>`;
+    }
+
+    const dimensionsRow = sheetUsage ? "" : `
+      <div class="stat-row">
+        <span>Final dimensions:</span>
+        <span>${fromPoints(bounds.width, this.getDisplayUnit())} × ${this.formatLength(bounds.height)}</span>
+      </div>`;
+
+    statsElement.innerHTML = `
+      <div class="stat-row">
+        <span>Images nested:</span>
+        <span>${placements.length}</span>
+      </div>${dimensionsRow}${rollRow}${sheetRows}${designRows}${unplacedRow}${areaRows}${costRow}
+      <div class="stat-row">
+        <span>Efficiency:</span>
+        <span>${efficiency}%</span>
+      </div>
+      <div class="stat-row">
+        <span>Spacing:</span>
+        <span>${this.formatLength(this.settings.spacing)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Format a length in points in the panel's units
+   */
+  formatLength(points) {
+    return formatLength(points, this.getDisplayUnit());
+  }
+
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Format an area in square points in the panel's units
+   */
+  formatArea(squarePoints) {
+    return formatArea(squarePoints, this.getDisplayUnit());
+  }
+
+  /**
+   * Unit the panel shows lengths in: the chosen unit, or the document's ruler units
+   */
+  getDisplayUnit() {
+    if (this.settings.units !== "document" && Units[this.settings.units]) return this.settings.units;
+
+    try {
+      return getRulerUnit(app.activeDocument);
+    } catch (error) {
+      return "pt";
+    }
+  }
+
+  /**
+   * Spacing readout and typed value, in panel units
+   */
+  updateSpacingDisplay() {
+    const unit = this.getDisplayUnit();
+
+    const spacingValue = document.getElementById("spacingValue");
+    if (spacingValue) spacingValue.textContent = this.formatLength(this.settings.spacing);
+
+    const spacingInput = document.getElementById("spacingInput");
+    if (spacingInput) {
+      spacingInput.value = fromPoints(this.settings.spacing, unit);
+      spacingInput.step = Units[unit].step;
+    }
+  }
+
+  /**
+   * Show message to user
+   */
+  showMessage(message, type = "info") {
+    const messageElement = document.getElementById("messageArea");
+    if (!messageElement) {
+      console.log(`[${type}] ${message}`);
+      return;
+    }
+
+    messageElement.textContent = message;
+    messageElement.className = `message message-${type}`;
+    messageElement.style.display = "block";
+
+    // Auto-hide after 5 seconds for non-errors
+    if (type !== "error") {
+      setTimeout(() => {
+        messageElement.style.display = "none";
+      }, 5000);
+    }
+  }
+
+  /**
+   * Set button state
+   */
+  setButtonState(buttonId, enabled, text) {
+    const button = document.getElementById(buttonId);
+    if (button) {
+      button.disabled = !enabled;
+      if (text) button.textContent = text;
+    }
+  }
+
+  /**
+   * Undo the most recent nesting run
+   */
+  undoLastNesting() {
+    if (this.isProcessing) return;
+
+    if (!this.history.canUndo()) {
+      this.showMessage("Nothing to undo", "warning");
+      return;
+    }
+
+    try {
+      const transaction = this.history.undo();
+      this.showMessage(`Undid "${transaction.label}"`, "success");
+    } catch (error) {
+      this.showMessage(`Undo failed: ${error.message}`, "error");
+    } finally {
+      this.updateHistoryButtons();
+    }
+  }
+
+  /**
+   * Redo the most recently undone nesting run
+   */
+  redoLastNesting() {
+    if (this.isProcessing) return;
+
+    if (!this.history.canRedo()) {
+      this.showMessage("Nothing to redo", "warning");
+      return;
+    }
+
+    try {
+      const transaction = this.history.redo();
+      this.showMessage(`Redid "${transaction.label}"`, "success");
+    } catch (error) {
+      this.showMessage(`Redo failed: ${error.message}`, "error");
+    } finally {
+      this.updateHistoryButtons();
     }
   }
 
   /**
-   * Main nesting execution
+   * Enable undo/redo buttons and show how many steps are available
    */
-  async executeNesting() {
-    if (this.isProcessing) {
-      this.showMessage("Already processing...", "warning");
-      return;
-    }
+  updateHistoryButtons() {
+    const undoCount = this.history.undoStack.length;
+    const redoCount = this.history.redoStack.length;
 
-    this.isProcessing = true;
-    this.showMessage("Collecting images...", "info");
-    this.setButtonState("nestButton", false, "Processing...");
+    this.setButtonState("undoButton", undoCount > 0,
+      undoCount > 0 ? `Undo Nesting (${undoCount})` : "Undo Nesting");
+    this.setButtonState("redoButton", redoCount > 0,
+      redoCount > 0 ? `Redo Nesting (${redoCount})` : "Redo Nesting");
+  }
 
-    try {
-      // Step 1: Collect images
-      const images = await this.imageCollector.collectImages({
-        selectedOnly: this.settings.selectedOnly,
-        artboardIndex: this.settings.artboardIndex
-      });
+  /**
+   * Media library entry nested onto, or null to use the artboard
+   */
+  getSelectedMedia() {
+    return this.settings.media ? this.mediaLibrary.get(this.settings.media) : null;
+  }
 
-      if (images.length === 0) {
-        this.showMessage("No images found to nest", "warning");
-        return;
-      }
+  /**
+   * Estimated material cost of a layout; null without a media or cost
+   */
+  getMaterialCost(layout) {
+    return this.mediaLibrary.estimateCost(layout.media, {
+      sheets: new Set(layout.placements.map(p => p.sheetIndex || 0)).size,
+      rollLength: layout.rollLength
+    });
+  }
 
-      // Validate images
-      const { valid, invalid } = this.imageCollector.validateImages(images);
-      
-      if (invalid.length > 0) {
-        console.warn(`Skipping ${invalid.length} invalid images:`, invalid);
-      }
+  updateMediaList() {
+    const select = document.getElementById("mediaSelect");
+    if (!select) return;
 
-      if (valid.length === 0) {
-        this.showMessage("No valid images to nest", "error");
-        return;
-      }
+    select.innerHTML = "";
 
-      this.showMessage(`Nesting ${valid.length} images...`, "info");
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Artboard size";
+    select.appendChild(placeholder);
 
-      // Step 2: Prepare items for nesting
-      const items = valid.map(img => ({
-        id: img.id,
-        width: img.width,
-        height: img.height,
-        originalItem: img.originalItem
-      }));
+    const unit = this.getDisplayUnit();
+    for (const media of this.mediaLibrary.getAll()) {
+      const size = media.type === "roll"
+        ? `${this.formatLength(media.width)} roll`
+        : `${fromPoints(media.width, unit)}×${this.formatLength(media.height)}`;
+      const cost = media.cost ? `, ${media.cost.toFixed(2)}/${media.type === "roll" ? "m" : "sheet"}` : "";
 
-      // Get artboard dimensions for target size
-      const artboard = this.getCurrentArtboard();
-      const targetWidth = artboard ? artboard.width : this.settings.targetWidth;
-      const targetHeight = artboard ? artboard.height : this.settings.targetHeight;
+      const option = document.createElement("option");
+      option.value = media.name;
+      option.textContent = `${media.name} (${size}${cost})`;
+      select.appendChild(option);
+    }
 
-      // Step 3: Run nesting algorithm
-      const nestingEngine = new NestingEngine({
-        spacing: this.settings.spacing,
-        allowRotation: this.settings.allowRotation,
-        targetWidth,
-        targetHeight
-      });
+    // A preset may name media this machine doesn't have
+    if (this.settings.media && !this.getSelectedMedia()) {
+      this.settings.media = "";
+    }
+    select.value = this.settings.media;
+  }
 
-      const placements = nestingEngine.nest(items);
+  /**
+   * Show a media's values in the add / edit fields
+   */
+  fillMediaForm(media) {
+    if (!media) return;
 
-      if (placements.length === 0) {
-        this.showMessage("Failed to nest images", "error");
-        return;
-      }
+    const unit = this.getDisplayUnit();
+    const fields = {
+      mediaNameInput: media.name,
+      mediaTypeSelect: media.type,
+      mediaWidthInput: fromPoints(media.width, unit),
+      mediaHeightInput: media.height ? fromPoints(media.height, unit) : "",
+      mediaCostInput: media.cost || 0
+    };
+    for (const [id, value] of Object.entries(fields)) {
+      const element = document.getElementById(id);
+      if (element) element.value = value;
+    }
+    this.updateMediaFormState();
+  }
 
-      // Step 4: Apply layout
-      const result = await this.layoutApplier.applyLayout(placements, {
-        artboardIndex: this.settings.artboardIndex
-      });
+  /**
+   * Rolls have no height and are priced per metre
+   */
+  updateMediaFormState() {
+    const typeSelect = document.getElementById("mediaTypeSelect");
+    const isRoll = typeSelect && typeSelect.value === "roll";
 
-      // Store for undo
-      this.lastPlacements = {
-        placements,
-        originalPositions: valid.map(img => ({
-          item: img.originalItem,
-          left: img.left,
-          top: img.top
-        }))
-      };
+    const heightInput = document.getElementById("mediaHeightInput");
+    if (heightInput) heightInput.disabled = isRoll;
 
-      // Calculate efficiency
-      const efficiency = this.calculateEfficiency(placements, targetWidth, targetHeight);
+    const costLabel = document.getElementById("mediaCostLabel");
+    if (costLabel) costLabel.textContent = isRoll ? "Cost per metre" : "Cost per sheet";
+  }
 
-      this.showMessage(
-        `✓ Successfully nested ${result.count} images (${efficiency}% efficient)`,
-        "success"
-      );
+  /**
+   * Add a custom media from the typed values, or update the one with that name
+   */
+  saveMedia() {
+    const value = (id) => {
+      const element = document.getElementById(id);
+      return element ? element.value : "";
+    };
+    const unit = this.getDisplayUnit();
 
-      // Update statistics
-      this.updateStatistics(placements, efficiency);
+    try {
+      const media = this.mediaLibrary.save({
+        name: value("mediaNameInput"),
+        type: value("mediaTypeSelect"),
+        width: toPoints(parseFloat(value("mediaWidthInput")), unit),
+        height: toPoints(parseFloat(value("mediaHeightInput")), unit),
+        cost: parseFloat(value("mediaCostInput")) || 0
+      });
 
+      this.settings.media = media.name;
+      this.updateMediaList();
+      this.onSettingsChanged();
+      this.showMessage(`Saved media "${media.name}"`, "success");
     } catch (error) {
-      console.error("Nesting error:", error);
-      this.showMessage(`Error: ${error.message}`, "error");
-    } finally {
-      this.isProcessing = false;
-      this.setButtonState("nestButton", true, "Nest Now");
+      this.showMessage(error.message, "error");
     }
   }
 
   /**
-   * Get current artboard info
+   * Delete the selected custom media
    */
-  getCurrentArtboard() {
+  deleteMedia() {
+    const name = this.settings.media;
+    if (!name) {
+      this.showMessage("Select a custom media to delete", "warning");
+      return;
+    }
+
     try {
-      const doc = app.activeDocument;
-      if (!doc) return null;
+      this.mediaLibrary.delete(name);
 
-      const artboards = this.imageCollector.getArtboards(doc);
-      if (artboards.length > 0 && this.settings.artboardIndex < artboards.length) {
-        return artboards[this.settings.artboardIndex];
-      }
+      // A replaced standard media is still there, back at its defaults
+      if (!this.mediaLibrary.get(name)) this.settings.media = "";
+      this.updateMediaList();
+      this.onSettingsChanged();
+      this.showMessage(`Deleted media "${name}"`, "success");
     } catch (error) {
-      console.error("Error getting artboard:", error);
+      this.showMessage(error.message, "error");
     }
-    return null;
   }
 
   /**
-   * Calculate packing efficiency
+   * Load a named preset into the panel
    */
-  calculateEfficiency(placements, targetWidth, targetHeight) {
-    const bounds = this.layoutApplier.calculateFinalBounds(placements, 0, 0);
-    const usedArea = placements.reduce((sum, p) => sum + (p.width * p.height), 0);
-    const totalArea = bounds.width * bounds.height;
-    return totalArea > 0 ? Math.round((usedArea / totalArea) * 100) : 0;
+  applyPreset(name) {
+    const preset = this.presetStore.get(name);
+    if (!preset) {
+      this.showMessage(`Preset "${name}" not found`, "error");
+      return;
+    }
+
+    this.settings = { ...this.settings, ...preset, activePreset: name };
+    this.updateUIFromSettings();
+    this.updatePresetList();
+    this.updateDocumentPreset();
+    this.onSettingsChanged();
+    this.showMessage(`Loaded preset "${name}"`, "success");
   }
 
   /**
-   * Update document info in UI
+   * Save the current settings under the typed name, or over the selected preset
    */
-  async updateDocumentInfo() {
-    try {
-      const doc = app.activeDocument;
-      if (!doc) {
-        this.showMessage("No active document", "warning");
-        return;
-      }
-
-      // Update artboard dropdown
-      const artboards = this.imageCollector.getArtboards(doc);
-      const select = document.getElementById("artboardSelect");
-      if (select) {
-        select.innerHTML = "";
-        artboards.forEach((ab, index) => {
-          const option = document.createElement("option");
-          option.value = index;
-          option.textContent = `${ab.name} (${Math.round(ab.width)}×${Math.round(ab.height)})`;
-          select.appendChild(option);
-        });
-      }
+  savePreset() {
+    const nameInput = document.getElementById("presetNameInput");
+    const name = (nameInput && nameInput.value.trim()) || this.settings.activePreset;
 
-      // Update image count
-      const images = await this.imageCollector.collectImages();
-      const countElement = document.getElementById("imageCount");
-      if (countElement) {
-        countElement.textContent = `${images.length} images found`;
-      }
+    try {
+      const presetName = this.presetStore.save(name, this.settings);
+      this.settings.activePreset = presetName;
+      this.saveSettings();
+      if (nameInput) nameInput.value = "";
 
+      this.updatePresetList();
+      this.updateDocumentPreset();
+      this.showMessage(`Saved preset "${presetName}"`, "success");
     } catch (error) {
-      console.error("Error updating document info:", error);
+      this.showMessage(error.message, "error");
     }
   }
 
   /**
-   * Update statistics display
+   * Rename the selected preset to the typed name
    */
-  updateStatistics(placements, efficiency) {
-    const statsElement = document.getElementById("statistics");
-    if (!statsElement) return;
+  renamePreset() {
+    const nameInput = document.getElementById("presetNameInput");
+    const oldName = this.settings.activePreset;
+    if (!oldName) {
+      this.showMessage("Select a preset to rename", "warning");
+      return;
+    }
 
-    const bounds = this.layoutApplier.calculateFinalBounds(placements, 0, 0);
-    
-    statsElement.innerHTML = `
-      <div class="stat-row">
-        <span>Images nested:</span>
-        <span>${placements.count}</span>
-      </div>
-      <div class="stat-row">
-        <span>Final dimensions:</span>
-        <span>${Math.round(bounds.width)} × ${Math.round(bounds.height)} px</span>
-      </div>
-      <div class="stat-row">
-        <span>Efficiency:</span>
-        <span>${efficiency}%</span>
-      </div>
-      <div class="stat-row">
-        <span>Spacing:</span>
-        <span>${this.settings.spacing} px</span>
-      </div>
-    `;
+    try {
+      const presetName = this.presetStore.rename(oldName, nameInput ? nameInput.value : "");
+      this.settings.activePreset = presetName;
+      this.saveSettings();
+      if (nameInput) nameInput.value = "";
+
+      this.updatePresetList();
+      this.updateDocumentPreset();
+      this.showMessage(`Renamed "${oldName}" to "${presetName}"`, "success");
+    } catch (error) {
+      this.showMessage(error.message, "error");
+    }
   }
 
   /**
-   * Show message to user
+   * Delete the selected preset; the panel keeps its current settings
    */
-  showMessage(message, type = "info") {
-    const messageElement = document.getElementById("messageArea");
-    if (!messageElement) {
-      console.log(`[${type}] ${message}`);
+  deletePreset() {
+    const name = this.settings.activePreset;
+    if (!name) {
+      this.showMessage("Select a preset to delete", "warning");
       return;
     }
 
-    messageElement.textContent = message;
-    messageElement.className = `message message-${type}`;
-    messageElement.style.display = "block";
+    try {
+      this.presetStore.delete(name);
+      this.settings.activePreset = "";
+      this.saveSettings();
+      this.updatePresetList();
+      this.showMessage(`Deleted preset "${name}"`, "success");
+    } catch (error) {
+      this.showMessage(error.message, "error");
+    }
+  }
 
-    // Auto-hide after 5 seconds for non-errors
-    if (type !== "error") {
-      setTimeout(() => {
-        messageElement.style.display = "none";
-      }, 5000);
+  /**
+   * Merge presets from a JSON file
+   */
+  async importPresets() {
+    try {
+      const { localFileSystem } = require("uxp").storage;
+      const file = await localFileSystem.getFileForOpening({ types: ["json"] });
+      if (!file) return;
+
+      const names = this.presetStore.importJSON(await file.read());
+      this.updatePresetList();
+      this.showMessage(`Imported ${names.length} preset${names.length === 1 ? "" : "s"}`, "success");
+    } catch (error) {
+      console.error("Preset import failed:", error);
+      this.showMessage(`Import failed: ${error.message}`, "error");
     }
   }
 
   /**
-   * Set button state
+   * Write all presets to a JSON file
    */
-  setButtonState(buttonId, enabled, text) {
-    const button = document.getElementById(buttonId);
-    if (button) {
-      button.disabled = !enabled;
-      if (text) button.textContent = text;
+  async exportPresets() {
+    if (this.presetStore.getNames().length === 0) {
+      this.showMessage("No presets to export", "warning");
+      return;
+    }
+
+    try {
+      const { localFileSystem } = require("uxp").storage;
+      const file = await localFileSystem.getFileForSaving("auto-nest-presets.json", { types: ["json"] });
+      if (!file) return;
+
+      await file.write(this.presetStore.exportJSON());
+      this.showMessage(`Exported presets to ${file.name}`, "success");
+    } catch (error) {
+      console.error("Preset export failed:", error);
+      this.showMessage(`Export failed: ${error.message}`, "error");
     }
   }
 
   /**
-   * Toggle preview display
+   * Store the active preset in the document, if enabled
    */
-  togglePreview(show) {
-    if (show && this.lastPlacements) {
-      this.layoutApplier.createPreview(
-        this.lastPlacements.placements,
-        0,
-        0
-      );
-    } else {
-      this.layoutApplier.removePreview();
+  updateDocumentPreset() {
+    if (!this.settings.storePresetInDocument || !this.settings.activePreset) return;
+
+    try {
+      const doc = app.activeDocument;
+      if (!doc) return;
+
+      this.presetStore.writeToDocument(doc, this.settings.activePreset, this.settings);
+    } catch (error) {
+      console.error("Failed to store preset in document:", error);
     }
   }
 
   /**
-   * Undo last nesting (future feature)
+   * Remove the stored preset from the active document
    */
-  undoLastNesting() {
-    if (!this.lastPlacements) {
-      this.showMessage("Nothing to undo", "warning");
-      return;
+  clearDocumentPreset() {
+    try {
+      const doc = app.activeDocument;
+      if (!doc) return;
+
+      this.presetStore.clearDocument(doc);
+    } catch (error) {
+      console.error("Failed to remove preset from document:", error);
     }
+  }
 
+  /**
+   * Restore settings from the preset stored in the active document
+   * A stored preset is restored whatever the local toggle says; the toggle
+   * only decides whether this machine writes presets into documents.
+   */
+  restoreDocumentPreset() {
     try {
-      // Restore original positions
-      for (const original of this.lastPlacements.originalPositions) {
-        this.layoutApplier.moveItem(
-          original.item,
-          original.left,
-          original.top
-        );
-      }
+      const doc = app.activeDocument;
+      if (!doc) return;
 
-      this.showMessage("Undo successful", "success");
-      this.lastPlacements = null;
+      const stored = this.presetStore.readFromDocument(doc);
+      if (!stored) return;
 
+      // The document's copy wins over a local preset of the same name
+      this.settings = { ...this.settings, ...stored.settings, activePreset: stored.name };
+      this.updateUIFromSettings();
+      this.updatePresetList();
+      this.saveSettings();
+      this.showMessage(`Restored preset "${stored.name}" from document`, "info");
     } catch (error) {
-      this.showMessage(`Undo failed: ${error.message}`, "error");
+      console.error("Failed to restore document preset:", error);
+    }
+  }
+
+  /**
+   * Rebuild the preset dropdown
+   */
+  updatePresetList() {
+    const select = document.getElementById("presetSelect");
+    if (!select) return;
+
+    select.innerHTML = "";
+
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Custom settings";
+    select.appendChild(placeholder);
+
+    const names = this.presetStore.getNames();
+    for (const name of names) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+
+    // A preset restored from a document may not exist locally
+    const active = this.settings.activePreset;
+    if (active && !names.includes(active)) {
+      const option = document.createElement("option");
+      option.value = active;
+      option.textContent = `${active} (from document)`;
+      select.appendChild(option);
     }
+
+    select.value = active || "";
   }
 
   /**
@@ -404,17 +2538,191 @@ class AutoNestPlugin {
    * Update UI elements from settings
    */
   updateUIFromSettings() {
+    const unit = this.getDisplayUnit();
+
+    const unitsSelect = document.getElementById("unitsSelect");
+    if (unitsSelect) unitsSelect.value = this.settings.units;
+
+    for (const label of document.querySelectorAll(".unit-label")) {
+      label.textContent = Units[unit].label;
+    }
+
     const spacingSlider = document.getElementById("spacingSlider");
     if (spacingSlider) spacingSlider.value = this.settings.spacing;
-
-    const spacingValue = document.getElementById("spacingValue");
-    if (spacingValue) spacingValue.textContent = `${this.settings.spacing}px`;
+    this.updateSpacingDisplay();
+    this.updateMediaList();
 
     const rotationToggle = document.getElementById("rotationToggle");
     if (rotationToggle) rotationToggle.checked = this.settings.allowRotation;
 
+    const rotationAnglesSelect = document.getElementById("rotationAnglesSelect");
+    if (rotationAnglesSelect) {
+      rotationAnglesSelect.value = this.formatRotationAngles(this.settings.rotationAngles);
+    }
+
     const selectedOnlyToggle = document.getElementById("selectedOnlyToggle");
     if (selectedOnlyToggle) selectedOnlyToggle.checked = this.settings.selectedOnly;
+
+    const algorithmSelect = document.getElementById("algorithmSelect");
+    if (algorithmSelect) algorithmSelect.value = this.settings.algorithm;
+
+    const heuristicSelect = document.getElementById("heuristicSelect");
+    if (heuristicSelect) heuristicSelect.value = this.settings.heuristic;
+
+    const binModeSelect = document.getElementById("binModeSelect");
+    if (binModeSelect) binModeSelect.value = this.settings.binMode;
+
+    const shapeToggle = document.getElementById("shapeToggle");
+    if (shapeToggle) shapeToggle.checked = this.settings.shapeMode === "outline";
+
+    const optimizeToggle = document.getElementById("optimizeToggle");
+    if (optimizeToggle) optimizeToggle.checked = this.settings.optimize;
+
+    const optimizeTimeSlider = document.getElementById("optimizeTimeSlider");
+    if (optimizeTimeSlider) optimizeTimeSlider.value = this.settings.optimizeSeconds;
+
+    const optimizeTimeValue = document.getElementById("optimizeTimeValue");
+    if (optimizeTimeValue) optimizeTimeValue.textContent = `${this.settings.optimizeSeconds}s`;
+
+    const optimizeIterationsInput = document.getElementById("optimizeIterationsInput");
+    if (optimizeIterationsInput) optimizeIterationsInput.value = this.settings.optimizeIterations;
+
+    const lengthInputs = {
+      marginTopInput: this.settings.marginTop,
+      marginRightInput: this.settings.marginRight,
+      marginBottomInput: this.settings.marginBottom,
+      marginLeftInput: this.settings.marginLeft,
+      gripperSizeInput: this.settings.gripperSize,
+      markSizeInput: this.settings.markSize,
+      markOffsetInput: this.settings.markOffset,
+      cropLengthInput: this.settings.cropLength,
+      cropOffsetInput: this.settings.cropOffset,
+      contourOffsetInput: this.settings.contourOffset,
+      bleedSizeInput: this.settings.bleedSize,
+      normalizeSizeInput: this.settings.normalizeSize
+    };
+    for (const [inputId, value] of Object.entries(lengthInputs)) {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.value = fromPoints(value, unit);
+        input.step = Units[unit].step;
+      }
+    }
+
+    const plainInputs = {
+      maxSheetsInput: this.settings.maxSheets,
+      fitMinScaleInput: this.settings.fitMinScale,
+      fitMaxScaleInput: this.settings.fitMaxScale,
+      minPPIInput: this.settings.minPPI
+    };
+    for (const [inputId, value] of Object.entries(plainInputs)) {
+      const input = document.getElementById(inputId);
+      if (input) input.value = value;
+    }
+
+    const normalizeModeSelect = document.getElementById("normalizeModeSelect");
+    if (normalizeModeSelect) normalizeModeSelect.value = this.settings.normalizeMode;
+
+    const gripperEdgeSelect = document.getElementById("gripperEdgeSelect");
+    if (gripperEdgeSelect) gripperEdgeSelect.value = this.settings.gripperEdge;
+
+    const markToggles = {
+      registrationToggle: this.settings.registrationMarks,
+      cropMarksToggle: this.settings.cropMarks,
+      sheetLabelToggle: this.settings.sheetLabel,
+      cutContourToggle: this.settings.cutContour,
+      bleedToggle: this.settings.bleed,
+      mirrorToggle: this.settings.mirrorOutput,
+      fitToSheetToggle: this.settings.fitToSheet,
+      limitPPIToggle: this.settings.limitScaleToPPI
+    };
+    for (const [toggleId, checked] of Object.entries(markToggles)) {
+      const toggle = document.getElementById(toggleId);
+      if (toggle) toggle.checked = checked;
+    }
+
+    const markShapeSelect = document.getElementById("markShapeSelect");
+    if (markShapeSelect) markShapeSelect.value = this.settings.markShape;
+
+    const contourSourceSelect = document.getElementById("contourSourceSelect");
+    if (contourSourceSelect) contourSourceSelect.value = this.settings.contourSource;
+
+    const bleedMethodSelect = document.getElementById("bleedMethodSelect");
+    if (bleedMethodSelect) bleedMethodSelect.value = this.settings.bleedMethod;
+
+    const groupModeSelect = document.getElementById("groupModeSelect");
+    if (groupModeSelect) groupModeSelect.value = this.settings.groupMode;
+
+    const keepTogetherSelect = document.getElementById("keepTogetherSelect");
+    if (keepTogetherSelect) keepTogetherSelect.value = this.settings.keepTogether;
+
+    const batchScopeSelect = document.getElementById("batchScopeSelect");
+    if (batchScopeSelect) batchScopeSelect.value = this.settings.batchScope;
+
+    const keepOutInput = document.getElementById("keepOutInput");
+    if (keepOutInput) keepOutInput.value = this.formatKeepOutRegions(this.settings.keepOutRegions);
+
+    const keepOutLayerInput = document.getElementById("keepOutLayerInput");
+    if (keepOutLayerInput) keepOutLayerInput.value = this.settings.keepOutLayer;
+
+    const storePresetToggle = document.getElementById("storePresetToggle");
+    if (storePresetToggle) storePresetToggle.checked = this.settings.storePresetInDocument;
+
+    this.updateHeuristicState();
+  }
+
+  /**
+   * Parse a rotation option: a comma list ("0,90,180,270") or "step:15"
+   */
+  parseRotationAngles(value) {
+    if (value.startsWith("step:")) {
+      const step = parseFloat(value.slice(5));
+      const angles = [];
+      for (let angle = 0; angle < 360; angle += step) angles.push(angle);
+      return angles;
+    }
+    return value.split(",").map(Number).filter(angle => !isNaN(angle));
+  }
+
+  /**
+   * Inverse of parseRotationAngles, matching the dropdown's option values
+   */
+  formatRotationAngles(angles) {
+    const step = angles.length > 2 ? angles[1] - angles[0] : 0;
+    const isStep = step > 0 && step !== 90 && angles.every((angle, i) => angle === i * step);
+    return isStep ? `step:${step}` : angles.join(",");
+  }
+
+  /**
+   * Parse keep-out regions, one "x, y, width, height" per line in panel units
+   * Lines that aren't four numbers with a positive size are ignored
+   */
+  parseKeepOutRegions(text) {
+    const unit = this.getDisplayUnit();
+    const regions = [];
+    for (const line of text.split(/\r?\n/)) {
+      const values = line.split(/[,;\s]+/).filter(Boolean).map(Number);
+      if (values.length !== 4 || values.some(isNaN)) continue;
+
+      const [x, y, width, height] = values.map(value => toPoints(value, unit));
+      if (width > 0 && height > 0) regions.push({ x, y, width, height });
+    }
+    return regions;
+  }
+
+  formatKeepOutRegions(regions) {
+    const unit = this.getDisplayUnit();
+    return regions
+      .map(r => [r.x, r.y, r.width, r.height].map(value => fromPoints(value, unit)).join(", "))
+      .join("\n");
+  }
+
+  /**
+   * Heuristics only apply to the MaxRects packer
+   */
+  updateHeuristicState() {
+    const heuristicSelect = document.getElementById("heuristicSelect");
+    if (heuristicSelect) heuristicSelect.disabled = this.settings.algorithm !== "maxrects";
   }
 }
 
@@ -1 +1,534 @@
+/**
+ * Polygon geometry helpers for true-shape nesting
+ * Points are {x, y}; rings are closed point arrays (last point not repeated).
+ * Local item space has its origin at the top-left of the item's bounds with
+ * y pointing down, matching nesting placements.
+ */
 
+/**
+ * Signed area of a ring (positive for clockwise in y-down space)
+ */
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    area += (points[j].x + points[i].x) * (points[i].y - points[j].y);
+  }
+  return area / 2;
+}
+
+/**
+ * Bounding box of one or more rings
+ * @param {Array} rings - Array of rings
+ * @returns {Object} - {minX, minY, maxX, maxY, width, height}
+ */
+function polygonBounds(rings) {
+  let minX = Infinity, minY = Infinity;
+  let maxX = -Infinity, maxY = -Infinity;
+
+  for (const ring of rings) {
+    for (const p of ring) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    }
+  }
+
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+function translatePoints(points, dx, dy) {
+  return points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+}
+
+/**
+ * Scale points about the origin
+ */
+function scalePoints(points, factor) {
+  return points.map(p => ({ x: p.x * factor, y: p.y * factor }));
+}
+
+/**
+ * Rotate points around (cx, cy) in y-down space
+ * Positive angles are counter-clockwise on screen, like Illustrator's rotate()
+ */
+function rotatePoints(points, degrees, cx = 0, cy = 0) {
+  const rad = degrees * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  return points.map(p => {
+    const dx = p.x - cx;
+    const dy = p.y - cy;
+    return {
+      x: cx + dx * cos + dy * sin,
+      y: cy - dx * sin + dy * cos
+    };
+  });
+}
+
+/**
+ * Size of the bounding box of a width×height rectangle rotated by degrees
+ */
+function rotatedSize(width, height, degrees) {
+  const rad = degrees * Math.PI / 180;
+  const cos = Math.abs(Math.cos(rad));
+  const sin = Math.abs(Math.sin(rad));
+
+  // Round away float noise so 90° swaps sides exactly
+  const round = (v) => Math.round(v * 1e6) / 1e6;
+  return {
+    width: round(width * cos + height * sin),
+    height: round(width * sin + height * cos)
+  };
+}
+
+/**
+ * Rotate an item's outline about the item centre
+ * The rotated item bounds (not the outline bounds) become the new origin,
+ * matching where Illustrator puts the item after rotate()
+ * @returns {Object} - {rings, width, height}
+ */
+function rotateRings(rings, width, height, degrees) {
+  if (degrees === 0) return { rings, width, height };
+
+  const box = polygonBounds([rotatePoints(rectangleRing(width, height), degrees, width / 2, height / 2)]);
+  return {
+    rings: rings.map(ring =>
+      translatePoints(rotatePoints(ring, degrees, width / 2, height / 2), -box.minX, -box.minY)
+    ),
+    width: box.width,
+    height: box.height
+  };
+}
+
+/**
+ * Rectangle ring for an item with no outline
+ */
+function rectangleRing(width, height) {
+  return [
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height }
+  ];
+}
+
+/**
+ * Sample a cubic Bézier segment, excluding its end point
+ */
+function sampleCubicBezier(p0, c0, c1, p1, steps = 8) {
+  // Straight segments need no intermediate points
+  if (c0.x === p0.x && c0.y === p0.y && c1.x === p1.x && c1.y === p1.y) {
+    return [{ x: p0.x, y: p0.y }];
+  }
+
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const t = i / steps;
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    points.push({
+      x: a * p0.x + b * c0.x + c * c1.x + d * p1.x,
+      y: a * p0.y + b * c0.y + c * c1.y + d * p1.y
+    });
+  }
+  return points;
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification of a closed ring
+ */
+function simplifyPolygon(points, tolerance = 1) {
+  if (points.length <= 4 || tolerance <= 0) return points;
+
+  // Split the ring at the point farthest from the first one
+  let farthest = 0;
+  let farthestDist = -1;
+  for (let i = 1; i < points.length; i++) {
+    const d = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+    if (d > farthestDist) {
+      farthest = i;
+      farthestDist = d;
+    }
+  }
+
+  const first = simplifyPolyline(points.slice(0, farthest + 1), tolerance);
+  const second = simplifyPolyline([...points.slice(farthest), points[0]], tolerance);
+
+  const simplified = [...first.slice(0, -1), ...second.slice(0, -1)];
+  return simplified.length >= 3 ? simplified : points;
+}
+
+function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  let index = 0;
+  let maxDist = 0;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = pointSegmentDistance(points[i], start, end);
+    if (d > maxDist) {
+      index = i;
+      maxDist = d;
+    }
+  }
+
+  if (maxDist <= tolerance) return [start, end];
+
+  const left = simplifyPolyline(points.slice(0, index + 1), tolerance);
+  const right = simplifyPolyline(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+function pointSegmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Conservatively rasterize rings onto a grid
+ * A cell is filled if its centre is inside any ring or an edge crosses it,
+ * so the mask always covers the true shape. Holes are filled in.
+ * @returns {Object} - {cols, rows, cells} with cells a row-major Uint8Array
+ */
+function rasterizeRings(rings, width, height, cellSize) {
+  const cols = Math.max(1, Math.ceil(width / cellSize - 1e-9));
+  const rows = Math.max(1, Math.ceil(height / cellSize - 1e-9));
+  const cells = new Uint8Array(cols * rows);
+
+  const mark = (col, row) => {
+    if (col >= 0 && col < cols && row >= 0 && row < rows) {
+      cells[row * cols + col] = 1;
+    }
+  };
+
+  // Scanline fill at cell centres (even-odd per ring)
+  for (let row = 0; row < rows; row++) {
+    const y = (row + 0.5) * cellSize;
+    for (const ring of rings) {
+      const crossings = [];
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j];
+        const b = ring[i];
+        if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+          crossings.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        const startCol = Math.ceil(crossings[k] / cellSize - 0.5);
+        const endCol = Math.floor(crossings[k + 1] / cellSize - 0.5);
+        for (let col = startCol; col <= endCol; col++) mark(col, row);
+      }
+    }
+  }
+
+  // Edge cells, sampled at half-cell steps
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[j];
+      const b = ring[i];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (cellSize / 2)));
+      for (let s = 0; s <= steps; s++) {
+        const x = a.x + (b.x - a.x) * s / steps;
+        const y = a.y + (b.y - a.y) * s / steps;
+        mark(Math.min(cols - 1, Math.floor(x / cellSize)), Math.min(rows - 1, Math.floor(y / cellSize)));
+      }
+    }
+  }
+
+  return { cols, rows, cells };
+}
+
+/**
+ * Grow a mask by a square radius of cells, padding it on every side
+ * @returns {Object} - {cols, rows, cells, pad}
+ */
+function dilateMask(mask, radius) {
+  if (radius <= 0) return { ...mask, pad: 0 };
+
+  const cols = mask.cols + radius * 2;
+  const rows = mask.rows + radius * 2;
+
+  // Separable dilation: horizontal pass, then vertical pass
+  const horizontal = new Uint8Array(cols * mask.rows);
+  for (let row = 0; row < mask.rows; row++) {
+    for (let col = 0; col < mask.cols; col++) {
+      if (!mask.cells[row * mask.cols + col]) continue;
+      for (let c = col; c <= col + radius * 2; c++) {
+        horizontal[row * cols + c] = 1;
+      }
+    }
+  }
+
+  const cells = new Uint8Array(cols * rows);
+  for (let row = 0; row < mask.rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!horizontal[row * cols + col]) continue;
+      for (let r = row; r <= row + radius * 2; r++) {
+        cells[r * cols + col] = 1;
+      }
+    }
+  }
+
+  return { cols, rows, cells, pad: radius };
+}
+
+/**
+ * Filled runs of each mask row as [start, end) column pairs
+ */
+function maskRowSpans(mask) {
+  const spans = [];
+  for (let row = 0; row < mask.rows; row++) {
+    const rowSpans = [];
+    let start = -1;
+    for (let col = 0; col <= mask.cols; col++) {
+      const filled = col < mask.cols && mask.cells[row * mask.cols + col];
+      if (filled && start < 0) {
+        start = col;
+      } else if (!filled && start >= 0) {
+        rowSpans.push([start, col]);
+        start = -1;
+      }
+    }
+    spans.push(rowSpans);
+  }
+  return spans;
+}
+
+/**
+ * Check if a ring is convex (collinear points allowed)
+ */
+function isConvex(points) {
+  let sign = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const c = points[(i + 2) % points.length];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-9) continue;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+/**
+ * Grow a convex ring outward by a distance, with round corners
+ * @param {number} arcStep - Maximum angle between arc points, in radians
+ */
+function offsetConvexRing(points, distance, arcStep = Math.PI / 16) {
+  // Normals point outward whichever way the ring winds
+  const orientation = polygonArea(points) > 0 ? 1 : -1;
+  const normal = (a, b) => {
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: orientation * (b.y - a.y) / length, y: -orientation * (b.x - a.x) / length };
+  };
+
+  const result = [];
+  for (let i = 0; i < points.length; i++) {
+    const prev = points[(i + points.length - 1) % points.length];
+    const p = points[i];
+    const next = points[(i + 1) % points.length];
+    if (p.x === next.x && p.y === next.y) continue;
+
+    const start = Math.atan2(normal(prev, p).y, normal(prev, p).x);
+    let sweep = Math.atan2(normal(p, next).y, normal(p, next).x) - start;
+    // Convex corners turn the same way as the ring
+    while (sweep * orientation < 0) sweep += orientation * 2 * Math.PI;
+    while (Math.abs(sweep) > 2 * Math.PI) sweep -= orientation * 2 * Math.PI;
+
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / arcStep));
+    for (let s = 0; s <= steps; s++) {
+      const angle = start + sweep * s / steps;
+      result.push({ x: p.x + Math.cos(angle) * distance, y: p.y + Math.sin(angle) * distance });
+    }
+  }
+  return result;
+}
+
+/**
+ * Squared distance, in cells, from each cell to the nearest filled cell
+ * Exact Euclidean distance transform (Felzenszwalb & Huttenlocher), one
+ * pass over the columns and one over the rows.
+ * @returns {Float64Array} - Row-major squared distances
+ */
+function distanceTransform(mask) {
+  const { cols, rows, cells } = mask;
+  const INF = 1e20;
+  const dist = new Float64Array(cols * rows);
+  for (let i = 0; i < dist.length; i++) dist[i] = cells[i] ? 0 : INF;
+
+  const size = Math.max(cols, rows);
+  const f = new Float64Array(size);
+  const d = new Float64Array(size);
+  const v = new Int32Array(size);
+  const z = new Float64Array(size + 1);
+
+  const transform1D = (n) => {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+
+    for (let q = 1; q < n; q++) {
+      let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      while (s <= z[k]) {
+        k--;
+        s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      }
+      k++;
+      v[k] = q;
+      z[k] = s;
+      z[k + 1] = INF;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+      while (z[k + 1] < q) k++;
+      d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+  };
+
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows; row++) f[row] = dist[row * cols + col];
+    transform1D(rows);
+    for (let row = 0; row < rows; row++) dist[row * cols + col] = d[row];
+  }
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) f[col] = dist[row * cols + col];
+    transform1D(cols);
+    for (let col = 0; col < cols; col++) dist[row * cols + col] = d[col];
+  }
+
+  return dist;
+}
+
+/**
+ * Outer boundary of a mask's filled cells, in cell units
+ * Boundary edges are chained into loops along cell sides and the largest
+ * loop is returned; holes and separate islands are dropped.
+ * @returns {Array} - Ring of {x, y} corner points, or an empty array
+ */
+function traceMaskOutline(mask) {
+  const { cols, rows, cells } = mask;
+  const stride = cols + 1;
+  const filled = (col, row) => col >= 0 && col < cols && row >= 0 && row < rows && cells[row * cols + col] === 1;
+
+  // Directed boundary edges, clockwise around filled cells (y down)
+  const edges = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const from = y1 * stride + x1;
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push(y2 * stride + x2);
+  };
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!filled(col, row)) continue;
+      if (!filled(col, row - 1)) addEdge(col, row, col + 1, row);
+      if (!filled(col + 1, row)) addEdge(col + 1, row, col + 1, row + 1);
+      if (!filled(col, row + 1)) addEdge(col + 1, row + 1, col, row + 1);
+      if (!filled(col - 1, row)) addEdge(col, row + 1, col, row);
+    }
+  }
+
+  let best = [];
+  let bestArea = 0;
+
+  for (const start of edges.keys()) {
+    while (edges.get(start).length > 0) {
+      const loop = [];
+      let vertex = start;
+      do {
+        loop.push({ x: vertex % stride, y: Math.floor(vertex / stride) });
+        vertex = edges.get(vertex).pop();
+      } while (vertex !== start && edges.get(vertex).length > 0);
+
+      const area = Math.abs(polygonArea(loop));
+      if (area > bestArea) {
+        best = loop;
+        bestArea = area;
+      }
+    }
+  }
+
+  // Keep only the corners of the staircase
+  return best.filter((p, i) => {
+    const prev = best[(i + best.length - 1) % best.length];
+    const next = best[(i + 1) % best.length];
+    return !((prev.x === p.x && p.x === next.x) || (prev.y === p.y && p.y === next.y));
+  });
+}
+
+/**
+ * Outline grown outward by a distance, as a single ring (holes are filled)
+ * Convex outlines are offset exactly with round corners; anything else is
+ * rasterized, grown with a distance transform, traced and simplified. That
+ * result lies up to about 2.5 cells outside the true offset, never inside it.
+ * @param {Array} rings - Rings in local item space
+ * @param {number} width - Item width
+ * @param {number} height - Item height
+ * @param {number} distance - Offset distance
+ * @param {number} cellSize - Grid cell size for non-convex outlines
+ * @returns {Array} - Ring of {x, y} in the same space as the input
+ */
+function offsetOutline(rings, width, height, distance, cellSize) {
+  if (rings.length === 1 && isConvex(rings[0])) {
+    return distance > 0 ? offsetConvexRing(rings[0], distance) : rings[0];
+  }
+
+  const pad = distance + cellSize * 4;
+  const mask = rasterizeRings(
+    rings.map(ring => translatePoints(ring, pad, pad)),
+    width + pad * 2,
+    height + pad * 2,
+    cellSize
+  );
+
+  // Cell centres can sit √2/2 cell from the outline and from a point near it,
+  // and simplifying cuts up to a cell inside the trace; grow by both
+  const dist = distanceTransform(mask);
+  const radius = distance / cellSize + Math.SQRT2 + 1;
+  const grown = { cols: mask.cols, rows: mask.rows, cells: new Uint8Array(dist.length) };
+  for (let i = 0; i < dist.length; i++) {
+    grown.cells[i] = dist[i] <= radius * radius ? 1 : 0;
+  }
+
+  const ring = traceMaskOutline(grown).map(p => ({ x: p.x * cellSize - pad, y: p.y * cellSize - pad }));
+  return simplifyPolygon(ring, cellSize);
+}
+
+export {
+  polygonArea,
+  polygonBounds,
+  translatePoints,
+  scalePoints,
+  rotatePoints,
+  rotatedSize,
+  rotateRings,
+  rectangleRing,
+  sampleCubicBezier,
+  simplifyPolygon,
+  rasterizeRings,
+  dilateMask,
+  maskRowSpans,
+  isConvex,
+  offsetConvexRing,
+  distanceTransform,
+  traceMaskOutline,
+  offsetOutline
+};
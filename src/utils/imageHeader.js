@@ -0,0 +1,96 @@
+/**
+ * Pixel size of an image file from its header
+ * Linked images carry no pixel size in Illustrator, so their resolution comes
+ * from the file itself: PNG, JPEG, GIF, TIFF, PSD and BMP are understood.
+ */
+
+function readUint16(bytes, offset, littleEndian) {
+  return littleEndian
+    ? bytes[offset] | (bytes[offset + 1] << 8)
+    : (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint32(bytes, offset, littleEndian) {
+  const value = littleEndian
+    ? bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)
+    : (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+  return value >>> 0;
+}
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Size of the first frame in a JPEG, from its start-of-frame marker
+ */
+function readJPEGSize(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xFF) {
+      offset++; // Fill byte
+      continue;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { width: readUint16(bytes, offset + 7), height: readUint16(bytes, offset + 5) };
+    }
+    offset += 2 + readUint16(bytes, offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Size of the first image in a TIFF, from its ImageWidth and ImageLength tags
+ */
+function readTIFFSize(bytes) {
+  const littleEndian = bytes[0] === 0x49;
+  const ifd = readUint32(bytes, 4, littleEndian);
+  if (ifd + 2 > bytes.length) return null;
+
+  const size = {};
+  const count = readUint16(bytes, ifd, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > bytes.length) break;
+
+    const tag = readUint16(bytes, entry, littleEndian);
+    if (tag !== 256 && tag !== 257) continue;
+    const type = readUint16(bytes, entry + 2, littleEndian);
+    const value = type === 3 ? readUint16(bytes, entry + 8, littleEndian) : readUint32(bytes, entry + 8, littleEndian);
+    size[tag === 256 ? "width" : "height"] = value;
+  }
+  return size.width && size.height ? size : null;
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data - The file's contents, or at least its header
+ * @returns {Object|null} - {width, height} in pixels, or null for unknown formats
+ */
+function readPixelSize(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes.length < 26) return null;
+
+  let size = null;
+  if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47])) {
+    size = { width: readUint32(bytes, 16), height: readUint32(bytes, 20) };
+  } else if (startsWith(bytes, [0xFF, 0xD8])) {
+    size = readJPEGSize(bytes);
+  } else if (startsWith(bytes, [0x47, 0x49, 0x46, 0x38])) {
+    size = { width: readUint16(bytes, 6, true), height: readUint16(bytes, 8, true) };
+  } else if (startsWith(bytes, [0x49, 0x49, 0x2A, 0x00]) || startsWith(bytes, [0x4D, 0x4D, 0x00, 0x2A])) {
+    size = readTIFFSize(bytes);
+  } else if (startsWith(bytes, [0x38, 0x42, 0x50, 0x53])) {
+    size = { width: readUint32(bytes, 18), height: readUint32(bytes, 14) };
+  } else if (startsWith(bytes, [0x42, 0x4D])) {
+    // Bottom-up bitmaps store a negative height
+    size = { width: readUint32(bytes, 18, true) | 0, height: Math.abs(readUint32(bytes, 22, true) | 0) };
+  }
+
+  return size && size.width > 0 && size.height > 0 ? size : null;
+}
+
+export { readPixelSize };
@@ -1 +1,82 @@
+/**
+ * Cooperative scheduling for long computations on the panel thread
+ * UXP panels have no worker threads, so heavy work is written as a generator
+ * that yields progress; runChunked() drives it in time slices and yields to
+ * the event loop in between, keeping the panel responsive and cancellable.
+ */
 
+/**
+ * Thrown by runChunked() when its cancellation token is cancelled
+ */
+class CancelledError extends Error {
+  constructor(message = "Operation cancelled") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+/**
+ * Cancellation flag shared between the panel and a running task
+ */
+class CancellationToken {
+  constructor() {
+    this.cancelled = false;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) throw new CancelledError();
+  }
+}
+
+/**
+ * Resolve on the next event loop turn
+ */
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Drive a step generator in time slices
+ * @param {Generator} steps - Generator yielding progress objects
+ * @param {Object} options - {token, onProgress, sliceMs}
+ * @returns {Promise<*>} - The generator's return value
+ */
+async function runChunked(steps, options = {}) {
+  const {
+    token = null,
+    onProgress = null,
+    sliceMs = 16
+  } = options;
+
+  let sliceStart = Date.now();
+
+  while (true) {
+    if (token) token.throwIfCancelled();
+
+    const { value, done } = steps.next();
+    if (done) return value;
+
+    if (value && onProgress) onProgress(value);
+
+    if (Date.now() - sliceStart >= sliceMs) {
+      await nextTick();
+      sliceStart = Date.now();
+    }
+  }
+}
+
+/**
+ * Drive a step generator to completion without yielding
+ */
+function runSync(steps) {
+  while (true) {
+    const { value, done } = steps.next();
+    if (done) return value;
+  }
+}
+
+export { CancelledError, CancellationToken, nextTick, runChunked, runSync };
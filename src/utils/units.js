@@ -0,0 +1,78 @@
+/**
+ * Length units for the panel
+ * Settings, NestingEngine and LayoutApplier all work in points, Illustrator's
+ * own unit; lengths are converted only where the panel shows or reads them.
+ */
+
+/**
+ * Units the panel can work in: points per unit, decimals shown and input step
+ */
+const Units = {
+  mm: { label: "mm", points: 72 / 25.4, decimals: 1, step: 0.5 },
+  cm: { label: "cm", points: 72 / 2.54, decimals: 2, step: 0.05 },
+  in: { label: "in", points: 72, decimals: 3, step: 0.0625 },
+  pt: { label: "pt", points: 1, decimals: 1, step: 1 }
+};
+
+/**
+ * Points per unit for lengths typed with a suffix, e.g. "50mm"
+ */
+const LengthUnits = {
+  pt: 1,
+  px: 1,
+  mm: Units.mm.points,
+  cm: Units.cm.points,
+  in: Units.in.points
+};
+
+/**
+ * Panel unit for each of Illustrator's ruler units; picas and pixels show as points
+ */
+const RulerUnits = {
+  Millimeters: "mm",
+  Centimeters: "cm",
+  Inches: "in",
+  Points: "pt",
+  Picas: "pt",
+  Pixels: "pt"
+};
+
+/**
+ * Panel unit matching a document's ruler units
+ */
+function getRulerUnit(doc) {
+  const rulerUnits = String(doc && doc.rulerUnits).replace("RulerUnits.", "");
+  return RulerUnits[rulerUnits] || "pt";
+}
+
+function toPoints(value, unit) {
+  return value * (Units[unit] || Units.pt).points;
+}
+
+/**
+ * A length in points in a unit, rounded to the unit's decimals
+ */
+function fromPoints(points, unit) {
+  const { points: size, decimals } = Units[unit] || Units.pt;
+  const scale = Math.pow(10, decimals);
+  return Math.round(points / size * scale) / scale;
+}
+
+function formatLength(points, unit) {
+  return `${fromPoints(points, unit)} ${(Units[unit] || Units.pt).label}`;
+}
+
+function formatArea(squarePoints, unit) {
+  const { label, points: size, decimals } = Units[unit] || Units.pt;
+  return `${(squarePoints / (size * size)).toFixed(decimals)} ${label}²`;
+}
+
+export {
+  Units,
+  LengthUnits,
+  getRulerUnit,
+  toPoints,
+  fromPoints,
+  formatLength,
+  formatArea
+};
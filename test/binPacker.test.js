@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MaxRectsPacker, MaxRectsHeuristic, RasterShapePacker } from '../src/core/binPacker.js';
+import { NestingEngine } from '../src/core/nestingEngine.js';
+
+const STEP_15 = [0, 15, 30, 45, 60, 75, 90];
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+for (const heuristic of Object.values(MaxRectsHeuristic)) {
+  test(`${heuristic} packs without overlaps inside the bin`, () => {
+    const packer = new MaxRectsPacker(500, 400, 5, heuristic);
+    const sizes = [[200, 100], [150, 150], [120, 80], [90, 200], [60, 60], [180, 40], [100, 100]];
+    const placements = sizes.map(([width, height], i) => packer.insert(width, height, `item${i}`, [0, 90]));
+
+    for (const [i, placement] of placements.entries()) {
+      assert.ok(placement, `item${i} was not placed`);
+      assert.ok(placement.x >= 0 && placement.y >= 0);
+      assert.ok(placement.x + placement.width <= 500 && placement.y + placement.height <= 400);
+      for (const other of placements.slice(0, i)) {
+        assert.ok(!overlaps(placement, other), `item${i} overlaps ${other.id}`);
+      }
+    }
+  });
+}
+
+test("an item larger than the bin is not placed", () => {
+  const packer = new MaxRectsPacker(100, 100);
+  assert.equal(packer.insert(150, 50, "wide"), null);
+  assert.equal(packer.insert(150, 50, "wide", [0, 90]), null);
+});
+
+test("an item only fits when rotation is offered", () => {
+  const packer = new MaxRectsPacker(100, 200);
+  assert.equal(packer.insert(150, 50, "tall"), null);
+
+  const placement = packer.insert(150, 50, "tall", [0, 90]);
+  assert.equal(placement.rotation, 90);
+  assert.deepEqual([placement.width, placement.height], [50, 150]);
+});
+
+test("obstacles are kept clear, with spacing on their far side", () => {
+  const packer = new MaxRectsPacker(200, 100, 10);
+  packer.addObstacle({ x: 0, y: 0, width: 100, height: 100 });
+
+  const placement = packer.insert(80, 80, "a");
+  assert.ok(placement.x >= 110, `placed at x=${placement.x}`);
+  assert.equal(packer.insert(80, 80, "b"), null);
+});
+
+test("a lone rectangle stays on axis with 15° steps", () => {
+  const packer = new MaxRectsPacker(1000, 1000, 0);
+  const placement = packer.insert(100, 50, "a", STEP_15);
+
+  assert.ok([0, 90].includes(placement.rotation), `placed at ${placement.rotation}°`);
+  assert.equal(placement.width * placement.height, 5000);
+});
+
+test("15° steps need no more sheets than quarter turns", () => {
+  const items = Array.from({ length: 12 }, (_, i) => ({ id: `item${i}`, width: 300, height: 200 }));
+  const sheets = (rotationAngles) => {
+    const engine = new NestingEngine({
+      algorithm: "maxrects",
+      binMode: "multiSheet",
+      targetWidth: 1000,
+      targetHeight: 1000,
+      spacing: 0,
+      allowRotation: true,
+      rotationAngles
+    });
+    engine.nest(items);
+    return engine.sheetCount;
+  };
+
+  assert.ok(sheets(STEP_15) <= sheets([0, 90]));
+});
+
+test("cluster blocks stay on axis with 15° steps", () => {
+  const engine = new NestingEngine({
+    algorithm: "maxrects",
+    targetWidth: 1000,
+    targetHeight: 1000,
+    spacing: 0,
+    allowRotation: true,
+    rotationAngles: STEP_15
+  });
+  const block = engine.packCluster("kit", [
+    { id: "a", width: 100, height: 50 },
+    { id: "b", width: 100, height: 50 },
+    { id: "c", width: 100, height: 50 }
+  ]);
+
+  for (const member of block.members) {
+    assert.ok(member.rotation % 90 === 0, `${member.id} placed at ${member.rotation}°`);
+  }
+});
+
+// 200×200 L with its top-right quarter cut away
+const L_SHAPE = [[
+  { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 },
+  { x: 200, y: 100 }, { x: 200, y: 200 }, { x: 0, y: 200 }
+]];
+
+test("outline packing nests a small item into another item's notch", () => {
+  const packer = new RasterShapePacker(200, 200, 4, 2);
+  packer.insert(200, 200, "l", [0], L_SHAPE);
+
+  const placement = packer.insert(90, 90, "square");
+  assert.ok(placement, "the square was not placed");
+  assert.ok(placement.x >= 100 && placement.y + placement.height <= 100,
+    `placed at ${placement.x},${placement.y}`);
+});
+
+test("outline packing falls back to the bounding box without an outline", () => {
+  const packer = new RasterShapePacker(200, 200, 4, 2);
+  packer.insert(200, 200, "box");
+
+  assert.equal(packer.insert(90, 90, "square"), null);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ContourGenerator from '../src/core/contourGenerator.js';
+
+const outline = [[{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 20 }]];
+const placement = { id: "a", x: 0, y: 0, width: 10, height: 20 };
+
+const contour = (mirrored, mirror) => new ContourGenerator({
+  offset: 1,
+  mirror,
+  items: [{ id: "a", width: 10, height: 20, outline, mirrored }]
+}).getContour(placement);
+
+test("contours are reflected only for items flipped when placed", () => {
+  assert.deepEqual(contour(true, true), contour(false, false));
+  assert.notDeepEqual(contour(false, true), contour(false, false));
+  assert.deepEqual(contour(true, false), contour(false, true));
+});
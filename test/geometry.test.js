@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { offsetOutline } from '../src/utils/geometry.js';
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function distanceToRing(p, ring) {
+  return Math.min(...ring.map((a, i) => distanceToSegment(p, a, ring[(i + 1) % ring.length])));
+}
+
+function contains(ring, p) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+test("offset outlines never fall inside the true offset", () => {
+  // An L shape with a notch, so the raster path is used
+  const shape = [
+    { x: 0, y: 0 }, { x: 60, y: 0 }, { x: 60, y: 20 }, { x: 23, y: 27 },
+    { x: 20, y: 80 }, { x: 0, y: 80 }
+  ];
+  const distance = 5;
+
+  for (const cellSize of [0.7, 1.3, 2.1]) {
+    const contour = offsetOutline([shape], 60, 80, distance, cellSize);
+
+    for (let x = -distance; x <= 60 + distance; x += 0.5) {
+      for (let y = -distance; y <= 80 + distance; y += 0.5) {
+        const p = { x, y };
+        if (contains(shape, p) || distanceToRing(p, shape) < distance - 0.01) {
+          assert.ok(contains(contour, p), `(${x}, ${y}) is inside the offset but outside the ${cellSize} pt contour`);
+        }
+      }
+    }
+  }
+});
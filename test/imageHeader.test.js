@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readPixelSize } from '../src/utils/imageHeader.js';
+
+/**
+ * Header bytes padded to the minimum length readPixelSize looks at
+ */
+function header(bytes, length = 32) {
+  const data = new Uint8Array(Math.max(length, bytes.length));
+  data.set(bytes);
+  return data;
+}
+
+test("PNG, GIF and PSD sizes come from fixed header fields", () => {
+  const png = header([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52,
+    0, 0, 0x0B, 0xB8, 0, 0, 0x07, 0xD0]);
+  const gif = header([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x40, 0x01, 0xF0, 0x00]);
+  const psd = header([0x38, 0x42, 0x50, 0x53, 0, 1, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0x03, 0x00, 0, 0, 0x04, 0x00]);
+
+  assert.deepEqual(readPixelSize(png), { width: 3000, height: 2000 });
+  assert.deepEqual(readPixelSize(gif.buffer), { width: 320, height: 240 });
+  assert.deepEqual(readPixelSize(psd), { width: 1024, height: 768 });
+});
+
+test("JPEG sizes come from the first start-of-frame after other segments", () => {
+  const jpeg = header([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x06, 0x4A, 0x46, 0x49, 0x46, // APP0, 4 bytes of payload
+    0xFF, 0xFF, // Fill byte
+    0xFF, 0xC4, 0x00, 0x04, 0x00, 0x00, // DHT is not a frame
+    0xFF, 0xC2, 0x00, 0x11, 0x08, 0x04, 0xB0, 0x06, 0x40, 0x03
+  ]);
+
+  assert.deepEqual(readPixelSize(jpeg), { width: 1600, height: 1200 });
+});
+
+test("TIFF sizes are read in either byte order and either tag type", () => {
+  const little = header([
+    0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+    0x02, 0x00,
+    0x00, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x20, 0x03, 0x00, 0x00, // ImageWidth, SHORT 800
+    0x01, 0x01, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x58, 0x02, 0x00, 0x00 // ImageLength, LONG 600
+  ]);
+  const big = header([
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x02,
+    0x01, 0x00, 0x00, 0x04, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x03, 0x20,
+    0x01, 0x01, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x02, 0x58, 0x00, 0x00
+  ]);
+
+  assert.deepEqual(readPixelSize(little), { width: 800, height: 600 });
+  assert.deepEqual(readPixelSize(big), { width: 800, height: 600 });
+});
+
+test("bottom-up bitmaps report a positive height", () => {
+  const bmp = header([0x42, 0x4D, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 40, 0, 0, 0,
+    0x80, 0x02, 0, 0, 0x20, 0xFE, 0xFF, 0xFF]);
+
+  assert.deepEqual(readPixelSize(bmp), { width: 640, height: 480 });
+});
+
+test("unknown, truncated and empty images have no size", () => {
+  assert.equal(readPixelSize(header([0x25, 0x50, 0x44, 0x46])), null);
+  assert.equal(readPixelSize(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), null);
+  assert.equal(readPixelSize(header([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0, 0, 0, 0])), null);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LayoutApplier from '../src/core/layoutApplier.js';
+
+globalThis.Transformation = { CENTER: "CENTER" };
+globalThis.ElementPlacement = { PLACEBEFORE: "PLACEBEFORE" };
+
+/**
+ * Stand-in for an Illustrator page item that counts reflections
+ */
+function mockItem(note = "") {
+  return {
+    name: "Design",
+    note,
+    layer: null,
+    geometricBounds: [0, 100, 50, 0],
+    reflections: 0,
+    resize(scaleX) {
+      if (scaleX < 0) this.reflections++;
+    },
+    rotate() {},
+    translate() {}
+  };
+}
+
+test("mirrored output reflects an item once across runs", async () => {
+  const applier = new LayoutApplier();
+  const item = mockItem("qty=2");
+  const placement = { x: 0, y: 0, width: 50, height: 100, originalItem: item };
+
+  await applier.processBatch([placement], 0, 0, null, true);
+  await applier.processBatch([placement], 0, 0, null, true);
+
+  assert.equal(item.reflections, 1);
+  assert.match(item.note, /\bmirrored\b/);
+  assert.match(item.note, /\bqty=2\b/);
+});
+
+test("turning mirrored output off flips reflected items back", async () => {
+  const applier = new LayoutApplier();
+  const item = mockItem("mirrored");
+
+  await applier.processBatch([{ x: 0, y: 0, width: 50, height: 100, originalItem: item }], 0, 0, null, false);
+
+  assert.equal(item.reflections, 1);
+  assert.doesNotMatch(item.note, /\bmirrored\b/);
+});
+
+test("copies from an earlier run are replaced by copies in the source's orientation", () => {
+  const applier = new LayoutApplier();
+  const layer = { locked: true };
+  const source = {
+    name: "Design qty=2",
+    note: "qty=2",
+    layer,
+    rotation: 0,
+    duplicate() {
+      return { name: "", note: "", layer, rotation: this.rotation };
+    }
+  };
+  const oldCopy = {
+    name: "Design",
+    note: "copyof=a",
+    layer,
+    rotation: 90,
+    visible: true,
+    get hidden() {
+      return !this.visible;
+    },
+    set hidden(value) {
+      if (layer.locked) throw new Error("Layer is locked");
+      this.visible = !value;
+    }
+  };
+  const transaction = applier.createTransaction("Nest");
+
+  const [, copyPlacement] = applier.resolveCopies([
+    { id: "a", sourceId: "a", copyIndex: 0, rotation: 0, originalItem: source },
+    { id: "a#2", sourceId: "a", copyIndex: 1, rotation: 0, originalItem: source }
+  ], new Map([["a", [oldCopy]]]), transaction);
+
+  assert.notEqual(copyPlacement.originalItem, oldCopy);
+  assert.equal(copyPlacement.originalItem.rotation, source.rotation);
+  assert.equal(copyPlacement.originalItem.note, "copyof=a");
+  assert.equal(oldCopy.hidden, true);
+  assert.deepEqual(transaction.hiddenArt, [oldCopy]);
+  assert.equal(layer.locked, true, "the copy's layer is locked again");
+});
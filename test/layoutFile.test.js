@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LayoutFile from '../src/core/layoutFile.js';
+
+const LAYOUT = {
+  binMode: "multiSheet",
+  artboardIndex: 0,
+  targetWidth: 300,
+  targetHeight: 200,
+  rollLength: null,
+  media: null,
+  placements: [
+    { id: "a", x: 10.12345, y: 0, width: 100, height: 50, rotation: 0, sheetIndex: 0, originalItem: { name: 'Logo, "big"' } },
+    { id: "a#2", sourceId: "a", copyIndex: 1, x: 0, y: 0, width: 50, height: 100, rotation: 90, sheetIndex: 1, originalItem: { name: 'Logo, "big"' } },
+    { id: "b", x: 120, y: 0, width: 40, height: 40, rotation: 0, sheetIndex: 0, originalItem: { name: "Badge" } }
+  ]
+};
+
+test("a job file round-trips through parse", () => {
+  const layoutFile = new LayoutFile();
+  const data = layoutFile.parse(layoutFile.toJSON(LAYOUT, { efficiency: 42, documentName: "job.ai" }));
+
+  assert.equal(data.document, "job.ai");
+  assert.equal(data.efficiency, 42);
+  assert.deepEqual(data.placements.map(p => [p.id, p.sourceId, p.copyIndex, p.x, p.sheetIndex]), [
+    ["a", "a", 0, 10.123, 0],
+    ["a#2", "a", 1, 0, 1],
+    ["b", "b", 0, 120, 0]
+  ]);
+});
+
+test("job files that can't be applied are refused", () => {
+  const layoutFile = new LayoutFile();
+
+  assert.throws(() => layoutFile.parse("nope"), /not valid JSON/);
+  assert.throws(() => layoutFile.parse("{}"), /no placements/);
+  assert.throws(() => layoutFile.parse('{"version": 99, "placements": []}'), /newer/);
+  assert.throws(() => layoutFile.parse('{"placements": [{"x": 0, "y": 0, "width": 10}]}'), /Placement 1/);
+});
+
+test("CSV reports quote names and number sheets from 1", () => {
+  const csv = new LayoutFile().toCSV(LAYOUT, { efficiency: 42 });
+
+  assert.deepEqual(csv.split("\r\n"), [
+    "name,id,x,y,width,height,rotation,sheet,bleed,efficiency",
+    '"Logo, ""big""",a,10.123,0,100,50,0,1,0,42',
+    '"Logo, ""big""",a#2,0,0,50,100,90,2,0,42',
+    "Badge,b,120,0,40,40,0,1,0,42",
+    ""
+  ]);
+});
+
+test("placements match items by uuid, then by name, with copies following their design", () => {
+  const layoutFile = new LayoutFile();
+  const data = layoutFile.createRecord(LAYOUT);
+  const images = [
+    { id: "renamed", name: 'Logo, "big"', width: 100, height: 50, originalItem: "logo" },
+    { id: "b", name: "Badge", width: 40, height: 30, originalItem: "badge" }
+  ];
+
+  const { placements, problems } = layoutFile.matchPlacements(data, images);
+
+  assert.deepEqual(placements.map(p => [p.id, p.originalItem, p.rotated]), [
+    ["a", "logo", false],
+    ["a#2", "logo", true],
+    ["b", "badge", false]
+  ]);
+  assert.deepEqual(problems, [{ line: 3, file: "Badge", message: "Item size differs from the saved layout" }]);
+  assert.equal(layoutFile.matchPlacements(data, []).problems.length, 3);
+});
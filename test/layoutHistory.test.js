@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import LayoutHistory from '../src/core/layoutHistory.js';
+
+/**
+ * Stand-in for LayoutApplier that logs what happens to each transaction
+ */
+function mockApplier() {
+  return {
+    log: [],
+    revertTransaction(transaction) {
+      this.log.push(`revert ${transaction.label}`);
+      return !transaction.broken;
+    },
+    reapplyTransaction(transaction) {
+      this.log.push(`reapply ${transaction.label}`);
+    },
+    discardTransaction(transaction) {
+      this.log.push(`discard ${transaction.label}`);
+    }
+  };
+}
+
+test("undo and redo walk the runs in order, and a new run clears redo", () => {
+  const applier = mockApplier();
+  const history = new LayoutHistory(applier);
+  const [first, second, third] = ["first", "second", "third"].map(label => ({ label }));
+
+  history.record(first);
+  history.record(second);
+  assert.equal(history.undo(), second);
+  assert.equal(history.undo(), first);
+  assert.equal(history.undo(), null);
+  assert.equal(history.redo(), first);
+
+  history.record(third);
+  assert.equal(history.canRedo(), false);
+  assert.deepEqual(history.undoStack, [first, third]);
+  assert.deepEqual(applier.log, ["revert second", "revert first", "reapply first"]);
+});
+
+test("runs beyond the limit are discarded oldest first", () => {
+  const applier = mockApplier();
+  const history = new LayoutHistory(applier, { limit: 2 });
+
+  for (const label of ["a", "b", "c", "d"]) history.record({ label });
+
+  assert.deepEqual(history.undoStack.map(entry => entry.label), ["c", "d"]);
+  assert.deepEqual(applier.log, ["discard a", "discard b"]);
+});
+
+test("an incomplete undo still moves the run to redo", () => {
+  const history = new LayoutHistory(mockApplier());
+  const broken = { label: "broken", broken: true };
+
+  history.record(broken);
+  assert.throws(() => history.undo(), /could not be restored/);
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.redo(), broken);
+});
+
+test("discarding a run drops it from both stacks for good", () => {
+  const applier = mockApplier();
+  const history = new LayoutHistory(applier);
+  const first = { label: "first" };
+  const second = { label: "second" };
+
+  history.record(first);
+  history.record(second);
+  history.undo();
+  history.discard(second);
+  history.discard(first);
+
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.canRedo(), false);
+  assert.deepEqual(applier.log, ["revert second", "discard second", "discard first"]);
+});
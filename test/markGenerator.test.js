@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import MarkGenerator, { REGISTRATION_SWATCH_NAME } from '../src/core/markGenerator.js';
+
+globalThis.RGBColor = class RGBColor {};
+
+test("marks use the Registration swatch", () => {
+  const registration = { spot: REGISTRATION_SWATCH_NAME };
+  const doc = { swatches: [{ name: "White", color: {} }, { name: REGISTRATION_SWATCH_NAME, color: registration }] };
+
+  assert.equal(new MarkGenerator().getRegistrationColor(doc), registration);
+});
+
+test("marks fall back to black without a Registration swatch", () => {
+  const color = new MarkGenerator().getRegistrationColor({ swatches: [] });
+
+  assert.ok(color instanceof RGBColor);
+  assert.deepEqual({ ...color }, { red: 0, green: 0, blue: 0 });
+});
+
+test("marks and the label reserve their corners of the sheet", () => {
+  const marks = new MarkGenerator({ label: true, markSize: 14, markOffset: 10 });
+  const regions = marks.getReservedRegions(500, 400);
+
+  assert.equal(regions.length, 5);
+  assert.deepEqual(regions[0], { x: 10, y: 10, width: 14, height: 14 });
+  assert.deepEqual(regions[3], { x: 476, y: 376, width: 14, height: 14 });
+  assert.deepEqual(regions[4], { x: 34, y: 376, width: 200, height: 14 });
+});
+
+test("the label never reserves more than the room between the bottom marks", () => {
+  const marks = new MarkGenerator({ label: true, markSize: 14, markOffset: 10 });
+
+  assert.equal(marks.getLabelWidth(150), 150 - 34 * 2);
+  assert.deepEqual(marks.getReservedRegions(150, null).length, 2, "rolls reserve only the top marks");
+});
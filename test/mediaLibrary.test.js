@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import MediaLibrary, { StandardMedia } from '../src/core/mediaLibrary.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value))
+};
+
+test("custom media replace standard ones of the same name and persist", () => {
+  const library = new MediaLibrary();
+  library.save({ name: " SRA3 ", type: "sheet", width: 907, height: 1276, cost: 0.4 });
+  library.save({ name: "Banner", type: "roll", width: 3000, height: 500, cost: 12 });
+
+  const all = new MediaLibrary();
+  all.load();
+  assert.equal(all.getAll().length, StandardMedia.length + 1);
+  assert.deepEqual(all.get("SRA3"), { name: "SRA3", type: "sheet", width: 907, height: 1276, cost: 0.4, custom: true });
+  assert.equal(all.get("Banner").height, null);
+
+  all.delete("SRA3");
+  assert.equal(all.get("SRA3").cost, 0);
+  assert.throws(() => all.delete("A3+"), /not a custom media/);
+});
+
+test("media without a usable size or cost are refused", () => {
+  const library = new MediaLibrary();
+
+  assert.throws(() => library.save({ name: "", width: 100, height: 100 }), /name cannot be empty/);
+  assert.throws(() => library.save({ name: "Flat", width: 100 }), /Sheet media need/);
+  assert.throws(() => library.save({ name: "Roll", type: "roll", width: 100, cost: -1 }), /Roll media need/);
+  assert.equal(library.isValid({ name: "Card", type: "sheet", width: 100, height: Infinity, cost: 0 }), false);
+});
+
+test("material cost is per sheet, or per metre of roll", () => {
+  const library = new MediaLibrary();
+  const sheet = { type: "sheet", cost: 0.5 };
+  const roll = { type: "roll", cost: 10 };
+
+  assert.equal(library.estimateCost(sheet, { sheets: 3 }), 1.5);
+  assert.equal(library.estimateCost(roll, { rollLength: 72 / 0.0254 * 2.5 }), 25);
+  assert.equal(library.estimateCost(roll, { rollLength: null }), null);
+  assert.equal(library.estimateCost({ type: "sheet", cost: 0 }, { sheets: 3 }), null);
+});
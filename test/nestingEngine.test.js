@@ -0,0 +1,248 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NestingEngine } from '../src/core/nestingEngine.js';
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+
+test("roll layouts keep clear of keep-out regions", () => {
+  const keepOut = { x: 0, y: 150, width: 400, height: 60 };
+  const engine = new NestingEngine({ binMode: "roll", targetWidth: 400, spacing: 0, keepOutRegions: [keepOut] });
+  const items = Array.from({ length: 10 }, (_, i) => ({ id: `item${i}`, width: 120, height: 90 }));
+
+  const placements = engine.nest(items);
+
+  assert.equal(placements.length, items.length);
+  for (const placement of placements) {
+    assert.ok(!overlaps(placement, keepOut), `${placement.id} overlaps the keep-out`);
+  }
+});
+
+test("continuing roll strips keep keep-outs in their own coordinates", () => {
+  const engine = new NestingEngine({
+    binMode: "roll",
+    targetWidth: 400,
+    margins: { top: 20, left: 10 },
+    keepOutRegions: [{ x: 0, y: 150, width: 400, height: 60 }, { x: 0, y: 20, width: 50, height: 50 }]
+  });
+
+  const obstacles = engine.getObstacles(400, 1000, 100);
+
+  assert.ok(!obstacles.some(o => o.y === 0 && o.width === 400), "continuing strips have no top margin");
+  assert.ok(obstacles.some(o => o.y === 50 && o.height === 60 && o.padded), "keep-out moves up by the offset");
+  assert.equal(obstacles.filter(o => o.padded).length, 1, "keep-outs above the strip are dropped");
+});
+
+test("items can opt in to rotation when the panel has it off", () => {
+  const engine = new NestingEngine({ allowRotation: false, rotationAngles: [0, 90] });
+
+  assert.deepEqual(engine.getItemAngles({ id: "a" }), [0]);
+  assert.deepEqual(engine.getItemAngles({ id: "b", rotationAllowed: true }), [0, 90]);
+  assert.deepEqual(engine.getItemAngles({ id: "c", rotationAllowed: true, orientation: "locked" }), [0]);
+});
+
+test("rotation angles are normalized and tried unrotated first", () => {
+  const engine = new NestingEngine({ allowRotation: true, rotationAngles: [90, -90, 450, 0, 180] });
+
+  assert.deepEqual(engine.getItemAngles({ id: "a" }), [0, 90, 270, 180]);
+  assert.deepEqual(engine.getItemAngles({ id: "b", rotationLocked: true }), [0]);
+});
+
+test("multi-sheet overflow spills onto extra sheets without overlaps", () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 300, targetHeight: 200, spacing: 0 });
+  const items = Array.from({ length: 7 }, (_, i) => ({ id: `item${i}`, width: 140, height: 90 }));
+
+  const placements = engine.nest(items);
+
+  assert.equal(placements.length, items.length);
+  assert.equal(engine.sheetCount, 2);
+  for (const [i, placement] of placements.entries()) {
+    assert.ok(placement.x + placement.width <= 300 && placement.y + placement.height <= 200);
+    for (const other of placements.slice(0, i)) {
+      if (other.sheetIndex !== placement.sheetIndex) continue;
+      assert.ok(!overlaps(placement, other), `${placement.id} overlaps ${other.id}`);
+    }
+  }
+  assert.deepEqual(engine.calculateSheetUsage(placements).map(sheet => sheet.count), [4, 3]);
+});
+
+test("items larger than a sheet are left unplaced, and maxSheets caps the sheets", () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 300, targetHeight: 200, spacing: 0, maxSheets: 1 });
+  const items = [
+    { id: "huge", width: 400, height: 100 },
+    ...Array.from({ length: 6 }, (_, i) => ({ id: `item${i}`, width: 140, height: 90 }))
+  ];
+
+  const placements = engine.nest(items);
+
+  assert.equal(engine.sheetCount, 1);
+  assert.equal(placements.length, 4);
+  assert.ok(engine.unplacedItems.some(item => item.id === "huge"));
+  assert.equal(engine.unplacedItems.length, 3);
+});
+
+test("roll layouts keep to the width and report the length used", () => {
+  const engine = new NestingEngine({ binMode: "roll", targetWidth: 400, spacing: 10, margins: { bottom: 25 } });
+  const items = [
+    { id: "wide", width: 500, height: 50 },
+    ...Array.from({ length: 9 }, (_, i) => ({ id: `item${i}`, width: 120, height: 90 }))
+  ];
+
+  const placements = engine.nest(items);
+  const bottom = Math.max(...placements.map(p => p.y + p.height));
+
+  assert.equal(placements.length, 9);
+  assert.deepEqual(engine.unplacedItems.map(item => item.id), ["wide"]);
+  assert.ok(placements.every(p => p.x >= 0 && p.x + p.width <= 400));
+  assert.equal(engine.usedLength, bottom + 25);
+  assert.ok(bottom <= 3 * 100, `used ${bottom}pt for three rows`);
+});
+
+test("optimizing is never worse than a single pass and reports each iteration", async () => {
+  const options = { binMode: "multiSheet", algorithm: "maxrects", targetWidth: 300, targetHeight: 200, spacing: 5 };
+  const items = [
+    ...Array.from({ length: 5 }, (_, i) => ({ id: `tall${i}`, width: 60, height: 150 })),
+    ...Array.from({ length: 6 }, (_, i) => ({ id: `wide${i}`, width: 140, height: 45 }))
+  ];
+
+  const single = new NestingEngine(options);
+  single.nest(items);
+
+  const optimizer = new NestingEngine(options);
+  const iterations = [];
+  const placements = await optimizer.optimize(items, {
+    maxIterations: 20,
+    timeLimit: 10000,
+    onProgress: (progress) => {
+      if (progress.phase === "optimizing") iterations.push(progress.iteration);
+    }
+  });
+
+  assert.equal(placements.length + optimizer.unplacedItems.length, items.length);
+  assert.ok(optimizer.sheetCount <= single.sheetCount);
+  assert.deepEqual(iterations, Array.from({ length: 20 }, (_, i) => i + 1));
+});
+
+test("nestAsync lays out the same as nest", async () => {
+  const options = { binMode: "multiSheet", algorithm: "maxrects", targetWidth: 300, targetHeight: 200, spacing: 5 };
+  const items = Array.from({ length: 9 }, (_, i) => ({ id: `item${i}`, width: 60 + i * 10, height: 120 - i * 8 }));
+
+  const expected = new NestingEngine(options).nest(items);
+  const placements = await new NestingEngine(options).nestAsync(items);
+
+  assert.deepEqual(placements, expected);
+});
+
+test("sheet margins are kept clear, with items right on the margin line", () => {
+  const margins = { top: 30, right: 15, bottom: 20, left: 25 };
+  for (const algorithm of ["guillotine", "maxrects"]) {
+    const engine = new NestingEngine({
+      binMode: "multiSheet", algorithm, targetWidth: 300, targetHeight: 200, spacing: 5, margins
+    });
+    const placements = engine.nest(Array.from({ length: 8 }, (_, i) => ({ id: `item${i}`, width: 80, height: 60 })));
+
+    assert.equal(placements.length, 8);
+    assert.ok(placements.some(p => p.x === 25 && p.y === 30), `${algorithm} leaves a gap at the margin`);
+    for (const p of placements) {
+      assert.ok(p.x >= 25 && p.y >= 30, `${algorithm} placed ${p.id} in the top-left margin`);
+      assert.ok(p.x + p.width <= 300 - 15 && p.y + p.height <= 200 - 20,
+        `${algorithm} placed ${p.id} in the bottom-right margin`);
+    }
+  }
+});
+
+test("each copy of an item with a quantity is placed as its own copy", () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 300, targetHeight: 200, spacing: 0 });
+  const placements = engine.nest([
+    { id: "sticker", width: 50, height: 50, quantity: 3 },
+    { id: "label", width: 100, height: 40, quantity: 0 }
+  ]);
+
+  const copies = placements.filter(p => p.sourceId === "sticker");
+  assert.deepEqual(copies.map(p => p.id).sort(), ["sticker", "sticker#2", "sticker#3"]);
+  assert.deepEqual(copies.map(p => p.copyIndex).sort(), [0, 1, 2]);
+  assert.deepEqual(placements.filter(p => p.sourceId === "label").map(p => p.id), ["label"]);
+});
+
+test("clustered items stay together on one sheet, copy by copy", () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", algorithm: "maxrects", targetWidth: 300, targetHeight: 200, spacing: 5 });
+  const kit = ["front", "back", "strap"].map((part, i) => ({
+    id: part, width: 60 + i * 10, height: 50, cluster: "kit", quantity: 2
+  }));
+  const fillers = Array.from({ length: 6 }, (_, i) => ({ id: `filler${i}`, width: 90, height: 70 }));
+
+  const placements = engine.nest([...fillers, ...kit]);
+
+  assert.equal(placements.length, 12);
+  for (const copyIndex of [0, 1]) {
+    const members = placements.filter(p => kit.some(part => part.id === p.sourceId) && p.copyIndex === copyIndex);
+    assert.equal(members.length, 3);
+    assert.equal(new Set(members.map(p => p.sheetIndex)).size, 1, `kit copy ${copyIndex} was split across sheets`);
+  }
+  for (const [i, placement] of placements.entries()) {
+    for (const other of placements.slice(0, i)) {
+      if (other.sheetIndex !== placement.sheetIndex) continue;
+      assert.ok(!overlaps(placement, other), `${placement.id} overlaps ${other.id}`);
+    }
+  }
+});
+
+test("a cluster that doesn't fit is reported as its member items", () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 100, targetHeight: 100, spacing: 0, maxSheets: 1 });
+  engine.nest([
+    { id: "left", width: 80, height: 80, cluster: "pair" },
+    { id: "right", width: 80, height: 80, cluster: "pair" }
+  ]);
+
+  assert.deepEqual(engine.unplacedItems.map(item => item.id).sort(), ["left", "right"]);
+});
+
+test("the sheet limit leaves out the lowest priorities first", () => {
+  const engine = new NestingEngine({
+    binMode: "multiSheet", algorithm: "maxrects", targetWidth: 220, targetHeight: 110, spacing: 5, maxSheets: 1
+  });
+  const placements = engine.nest([
+    { id: "big-low", width: 100, height: 100 },
+    { id: "small-rush", width: 50, height: 50, priority: 5 },
+    { id: "big-rush", width: 100, height: 100, priority: 5 },
+    { id: "medium", width: 100, height: 40, priority: 1 }
+  ]);
+
+  assert.deepEqual(placements.map(p => p.id), ["big-rush", "small-rush", "medium"]);
+  assert.deepEqual(engine.unplacedItems.map(item => item.id), ["big-low"]);
+});
+
+test("pinned items are kept clear on the first sheet only", () => {
+  const pinned = { x: 0, y: 0, width: 150, height: 100 };
+  const engine = new NestingEngine({
+    binMode: "multiSheet", targetWidth: 200, targetHeight: 100, spacing: 5, pinnedRegions: [pinned]
+  });
+  const placements = engine.nest(Array.from({ length: 3 }, (_, i) => ({ id: `item${i}`, width: 40, height: 90 })));
+
+  assert.deepEqual(placements.map(p => [p.sheetIndex, p.x]), [[0, 155], [1, 0], [1, 45]]);
+  assert.equal(engine.getObstacles(200, 100, 0, 1).length, 0);
+});
+
+test("fitting to the sheet finds the largest scale at which everything fits", async () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 200, targetHeight: 100, spacing: 0, maxSheets: 1 });
+  const result = await engine.fitScale([{ id: "a", width: 40, height: 40, quantity: 2 }], { precision: 0.001 });
+
+  assert.ok(result.fits);
+  assert.ok(Math.abs(result.scale - 2.5) < 0.01, `fitted at ${result.scale}`);
+  assert.equal(result.placements.length, 2);
+  assert.ok(result.placements.every(p => p.scale === result.scale && p.x + p.width <= 200 + 1e-9));
+  assert.equal(engine.unplacedItems.length, 0);
+});
+
+test("fitting stops at an item's own scale limit, and reports items that never fit", async () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 200, targetHeight: 100, spacing: 0, maxSheets: 1 });
+
+  const capped = await engine.fitScale([{ id: "a", width: 40, height: 40, maxScale: 1.5 }]);
+  assert.equal(capped.scale, 1.5);
+
+  const tooBig = await engine.fitScale([{ id: "b", width: 1000, height: 1000 }], { minScale: 0.5 });
+  assert.equal(tooBig.fits, false);
+  assert.equal(tooBig.scale, 0.5);
+  assert.deepEqual(engine.unplacedItems.map(item => item.id), ["b"]);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import OrderImporter from '../src/core/orderImporter.js';
+import LayoutApplier from '../src/core/layoutApplier.js';
+
+globalThis.Transformation = { CENTER: "CENTER", TOPLEFT: "TOPLEFT" };
+
+/**
+ * Stand-in for a layer whose placed items track their bounds
+ */
+function mockLayer() {
+  return {
+    placedItems: {
+      add() {
+        return {
+          name: "",
+          note: "",
+          layer: null,
+          geometricBounds: [0, 100, 50, 0],
+          resize() {},
+          rotate() {},
+          translate(dx, dy) {
+            const [left, top, right, bottom] = this.geometricBounds;
+            this.geometricBounds = [left + dx, top + dy, right + dx, bottom + dy];
+          }
+        };
+      }
+    }
+  };
+}
+
+test("CSV manifests accept aliases, quoted fields, units and any delimiter", () => {
+  const importer = new OrderImporter();
+  const { rows, errors } = importer.parse(
+    'Path;Copies;W;Height;Can Rotate\n"a;b.png";2;50mm;1in;no\n\nc.png;;;;\n',
+    "order.csv"
+  );
+
+  assert.deepEqual(errors, []);
+  assert.equal(rows.length, 2);
+  assert.deepEqual({ ...rows[0], width: Math.round(rows[0].width * 1000) / 1000 }, {
+    line: 2, file: "a;b.png", quantity: 2, width: 141.732, height: 72, allowRotation: false
+  });
+  assert.deepEqual(rows[1], { line: 4, file: "c.png", quantity: 1, width: null, height: null, allowRotation: null });
+});
+
+test("bad rows are reported by line and the rest still import", () => {
+  const importer = new OrderImporter();
+  const { rows, errors } = importer.parse(JSON.stringify({
+    items: [
+      { file: "ok.png", qty: 3, rotate: true },
+      { file: "zero.png", qty: 0 },
+      { qty: 1 },
+      { file: "big.png", width: "3 furlongs" },
+      { file: "maybe.png", rotate: "perhaps" }
+    ]
+  }), "order.json");
+
+  assert.deepEqual(rows.map(row => row.file), ["ok.png"]);
+  assert.deepEqual(errors.map(error => `${error.line}: ${error.message}`), [
+    '2: Invalid quantity "0"',
+    "3: No file given",
+    '4: Invalid width "3 furlongs"',
+    '5: Invalid rotation permission "perhaps"'
+  ]);
+  assert.throws(() => importer.parse("name,qty\nx,1\n", "order.csv"), /no file column/);
+});
+
+test("relative paths resolve against the manifest's folder", () => {
+  const importer = new OrderImporter();
+
+  assert.equal(importer.resolvePath("art/a.png", "/jobs/42/"), "/jobs/42/art/a.png");
+  assert.equal(importer.resolvePath("a.png", "C:\\jobs"), "C:\\jobs\\a.png");
+  assert.equal(importer.resolvePath("/abs/a.png", "/jobs"), "/abs/a.png");
+  assert.equal(importer.getFolder("/jobs/42/order.csv"), "/jobs/42");
+});
+
+test("an imported row's rotation opt-in survives nesting", async () => {
+  const importer = new OrderImporter();
+  const { rows } = importer.parse("file,qty,rotate\nbadge.png,3,yes\n", "order.csv");
+  const item = importer.placeRow(mockLayer(), { ...rows[0], entry: { name: "badge.png" } }, 0, 0);
+
+  await new LayoutApplier().processBatch([{ x: 10, y: 20, width: 50, height: 100, originalItem: item }], 0, 0);
+
+  assert.match(item.note, /^Nested at \(10, 20\)/);
+  assert.match(item.note, /\bqty=3\b/);
+  assert.match(item.note, /\brotate=yes\b/);
+});
+
+test("an imported row's rotation lock survives nesting", async () => {
+  const importer = new OrderImporter();
+  const { rows } = importer.parse("file,rotate\nlogo.png,no\n", "order.csv");
+  const item = importer.placeRow(mockLayer(), { ...rows[0], entry: { name: "logo.png" } }, 0, 0);
+
+  await new LayoutApplier().processBatch([{ x: 0, y: 0, width: 50, height: 100, originalItem: item }], 0, 0);
+
+  assert.match(item.note, /\bupright\b/);
+  assert.doesNotMatch(item.note, /\brotate=yes\b/);
+});
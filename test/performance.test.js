@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CancellationToken, CancelledError, runChunked, runSync } from '../src/utils/performance.js';
+
+function* countTo(total) {
+  for (let i = 1; i <= total; i++) {
+    yield { progress: i / total };
+  }
+  return total;
+}
+
+test("runChunked returns the generator's value and reports its progress", async () => {
+  const progress = [];
+  const result = await runChunked(countTo(4), { onProgress: (value) => progress.push(value.progress) });
+
+  assert.equal(result, 4);
+  assert.deepEqual(progress, [0.25, 0.5, 0.75, 1]);
+  assert.equal(runSync(countTo(3)), 3);
+});
+
+test("runChunked rejects with CancelledError once its token is cancelled", async () => {
+  const token = new CancellationToken();
+  let steps = 0;
+  const run = runChunked(countTo(1000), {
+    token,
+    sliceMs: 0,
+    onProgress: () => {
+      if (++steps === 10) token.cancel();
+    }
+  });
+
+  await assert.rejects(run, CancelledError);
+  assert.equal(steps, 10);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PresetStore from '../src/core/presetStore.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value))
+};
+
+const DEFAULTS = { spacing: 10, allowRotation: false, rotationAngles: [0, 90], binMode: "expand", keepOutRegions: [] };
+
+test("a preset round-trips through document metadata, quotes and all", () => {
+  const store = new PresetStore(DEFAULTS);
+  const doc = { XMPString: "" };
+  const settings = { spacing: 6, binMode: "roll", rotationAngles: [0, 45], artboardIndex: 3 };
+
+  store.writeToDocument(doc, 'Roll "600mm" <fast>', settings);
+  store.writeToDocument(doc, 'Roll "600mm" <fast>', { ...settings, spacing: 8 });
+
+  assert.deepEqual(store.readFromDocument(doc), {
+    name: 'Roll "600mm" <fast>',
+    settings: { spacing: 8, binMode: "roll", rotationAngles: [0, 45] }
+  });
+  assert.equal(doc.XMPString.match(/autonest:preset=/g).length, 1);
+});
+
+test("presets are added to a document's existing metadata and can be cleared", () => {
+  const store = new PresetStore(DEFAULTS);
+  const doc = {
+    XMPString: '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:CreatorTool="Illustrator"/>' +
+      "</rdf:RDF></x:xmpmeta>"
+  };
+
+  store.writeToDocument(doc, "Sheets", { spacing: 4 });
+  assert.ok(doc.XMPString.includes('xmp:CreatorTool="Illustrator"'));
+  assert.equal(store.readFromDocument(doc).name, "Sheets");
+
+  store.clearDocument(doc);
+  assert.equal(store.readFromDocument(doc), null);
+  assert.ok(doc.XMPString.includes('xmp:CreatorTool="Illustrator"'));
+});
+
+test("imported presets drop unknown fields and values of the wrong type", () => {
+  const store = new PresetStore(DEFAULTS);
+  const json = JSON.stringify({
+    version: 1,
+    presets: {
+      " Cards ": { spacing: "wide", allowRotation: true, rotationAngles: [0, "x"], selection: "all" },
+      "Keep-out": { keepOutRegions: [{ x: 0, y: 0, width: 10, height: 20 }] }
+    }
+  });
+
+  assert.deepEqual(store.importJSON(json), ["Cards", "Keep-out"]);
+  assert.deepEqual(store.get("Cards"), { allowRotation: true });
+  assert.deepEqual(store.get("Keep-out").keepOutRegions, [{ x: 0, y: 0, width: 10, height: 20 }]);
+  assert.deepEqual(new PresetStore(DEFAULTS).load(), store.presets);
+  assert.throws(() => store.importJSON("{}"), /no presets/);
+});
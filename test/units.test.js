@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRulerUnit, toPoints, fromPoints, formatLength, formatArea } from '../src/utils/units.js';
+import { NestingEngine } from '../src/core/nestingEngine.js';
+
+test("lengths convert between points and panel units", () => {
+  assert.equal(toPoints(25.4, "mm"), 72);
+  assert.equal(toPoints(2, "in"), 144);
+  assert.equal(toPoints(5, "unknown"), 5);
+  assert.equal(fromPoints(72, "mm"), 25.4);
+  assert.equal(fromPoints(100, "in"), 1.389);
+  assert.equal(fromPoints(toPoints(12.5, "cm"), "cm"), 12.5);
+});
+
+test("lengths and areas are labelled in the panel unit", () => {
+  assert.equal(formatLength(72, "cm"), "2.54 cm");
+  assert.equal(formatLength(10, "pt"), "10 pt");
+  assert.equal(formatArea(72 * 72, "in"), "1.000 in²");
+  assert.equal(formatArea(72 * 72 * 100, "mm"), "64516.0 mm²");
+});
+
+test("the panel unit follows the document's ruler", () => {
+  assert.equal(getRulerUnit({ rulerUnits: "RulerUnits.Millimeters" }), "mm");
+  assert.equal(getRulerUnit({ rulerUnits: "Inches" }), "in");
+  assert.equal(getRulerUnit({ rulerUnits: "RulerUnits.Picas" }), "pt");
+  assert.equal(getRulerUnit(null), "pt");
+});
+
+test("a spacing typed as zero lets items touch", () => {
+  const engine = new NestingEngine({ binMode: "multiSheet", targetWidth: 100, targetHeight: 50, spacing: 0 });
+  const placements = engine.nest([{ id: "a", width: 50, height: 50 }, { id: "b", width: 50, height: 50 }]);
+
+  assert.deepEqual(placements.map(p => [p.sheetIndex, p.x]), [[0, 0], [0, 50]]);
+  assert.equal(new NestingEngine().spacing, 10);
+});